@@ -0,0 +1,342 @@
+/**
+ * Chat Branches storage backends
+ *
+ * Every backend provides the key-value API the plugin is written against:
+ *   init(), getItem(key), setItem(key, value), removeItem(key), keys(), forEach(callback), clear()
+ * and may also provide:
+ *   writeBatch(image)      - write many keys (value null = remove) atomically
+ *   getDescendants(uuid)   - UUIDs of every branch below a branch
+ *   backup(target)         - copy the store to a new file or directory
+ *   close()                - release resources on shutdown
+ */
+
+const path = require('path');
+const fs = require('fs').promises;
+const nodePersist = require('node-persist');
+
+const DATA_DIR = path.join(__dirname, 'data');
+const USERS_DIR = path.join(DATA_DIR, 'users');
+const SQLITE_DIR = path.join(DATA_DIR, 'sqlite');
+const BACKUPS_DIR = path.join(DATA_DIR, 'backups');
+
+const BACKENDS = ['node-persist', 'sqlite'];
+
+/**
+ * Create the storage backend for a user
+ * @param {string} type Backend name ('node-persist' or 'sqlite')
+ * @param {string} handle Sanitized user handle
+ * @returns {Object} Uninitialized backend
+ */
+function createBackend(type, handle) {
+    switch (type) {
+        case 'node-persist':
+            return createNodePersistBackend(path.join(USERS_DIR, handle));
+        case 'sqlite':
+            return createSqliteBackend(path.join(SQLITE_DIR, `${handle}.sqlite`));
+        default:
+            throw new Error(`Unknown storage backend: ${type}`);
+    }
+}
+
+/**
+ * List the users that already have a store for a backend
+ * @param {string} type Backend name
+ * @returns {Promise<string[]>} User handles
+ */
+async function listUserHandles(type) {
+    const dir = type === 'sqlite' ? SQLITE_DIR : USERS_DIR;
+    let entries;
+    try {
+        entries = await fs.readdir(dir, { withFileTypes: true });
+    } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+    }
+
+    return type === 'sqlite'
+        ? entries.filter(e => e.isFile() && e.name.endsWith('.sqlite')).map(e => e.name.slice(0, -'.sqlite'.length))
+        : entries.filter(e => e.isDirectory()).map(e => e.name);
+}
+
+/**
+ * One JSON file per key, as the plugin has always stored data
+ * @param {string} dir Storage directory
+ * @returns {Object} Backend
+ */
+function createNodePersistBackend(dir) {
+    const storage = nodePersist.create();
+
+    return {
+        name: 'node-persist',
+        dir,
+        init: () => storage.init({
+            dir,
+            stringify: JSON.stringify,
+            parse: JSON.parse,
+            encoding: 'utf8',
+            logging: false,
+            ttl: false
+        }),
+        getItem: key => storage.getItem(key),
+        setItem: (key, value) => storage.setItem(key, value),
+        removeItem: key => storage.removeItem(key),
+        keys: () => storage.keys(),
+        forEach: callback => storage.forEach(callback),
+        clear: () => storage.clear(),
+        backup: target => fs.cp(dir, target, { recursive: true, errorOnExist: true, force: false }),
+        close: async () => storage.stopWriteQueueInterval?.()
+    };
+}
+
+/**
+ * SQLite database using Node's built-in node:sqlite (Node.js 22.13+ or 23.4+;
+ * 22.5+ when started with --experimental-sqlite).
+ * Branch records live in a table with indexed parent links so tree queries
+ * can run as recursive CTEs; every other key is a row in a key-value table.
+ * @param {string} file Database file
+ * @returns {Object} Backend
+ */
+function createSqliteBackend(file) {
+    let sqlite;
+    try {
+        sqlite = require('node:sqlite');
+    } catch {
+        throw new Error('The sqlite storage backend needs node:sqlite: Node.js 22.13+ or 23.4+, or Node.js 22.5+ started with --experimental-sqlite');
+    }
+
+    let db = null;
+    let statements = null;
+
+    const branchUuid = key => key.slice('branch:'.length);
+
+    const writeKey = (key, value) => {
+        if (key.startsWith('branch:')) {
+            if (value === null) {
+                statements.deleteBranch.run(branchUuid(key));
+            } else {
+                statements.upsertBranch.run(
+                    branchUuid(key),
+                    value.parent_uuid ?? null,
+                    value.root_uuid ?? null,
+                    value.character_id ?? null,
+                    value.chat_name ?? null,
+                    Number(value.created_at) || null,
+                    JSON.stringify(value)
+                );
+            }
+        } else if (value === null) {
+            statements.deleteValue.run(key);
+        } else {
+            statements.upsertValue.run(key, JSON.stringify(value));
+        }
+    };
+
+    return {
+        name: 'sqlite',
+        file,
+
+        async init() {
+            await fs.mkdir(path.dirname(file), { recursive: true });
+            db = new sqlite.DatabaseSync(file);
+            db.exec(`
+                PRAGMA journal_mode = WAL;
+                CREATE TABLE IF NOT EXISTS branches (
+                    uuid TEXT PRIMARY KEY,
+                    parent_uuid TEXT,
+                    root_uuid TEXT,
+                    character_id TEXT,
+                    chat_name TEXT,
+                    created_at INTEGER,
+                    data TEXT NOT NULL
+                );
+                CREATE INDEX IF NOT EXISTS branches_parent ON branches (parent_uuid);
+                CREATE INDEX IF NOT EXISTS branches_root ON branches (root_uuid);
+                CREATE INDEX IF NOT EXISTS branches_character ON branches (character_id, chat_name);
+                CREATE TABLE IF NOT EXISTS kv (
+                    key TEXT PRIMARY KEY,
+                    value TEXT NOT NULL
+                );
+            `);
+
+            statements = {
+                getBranch: db.prepare('SELECT data FROM branches WHERE uuid = ?'),
+                upsertBranch: db.prepare(`
+                    INSERT INTO branches (uuid, parent_uuid, root_uuid, character_id, chat_name, created_at, data)
+                    VALUES (?, ?, ?, ?, ?, ?, ?)
+                    ON CONFLICT (uuid) DO UPDATE SET
+                        parent_uuid = excluded.parent_uuid,
+                        root_uuid = excluded.root_uuid,
+                        character_id = excluded.character_id,
+                        chat_name = excluded.chat_name,
+                        created_at = excluded.created_at,
+                        data = excluded.data
+                `),
+                deleteBranch: db.prepare('DELETE FROM branches WHERE uuid = ?'),
+                getValue: db.prepare('SELECT value FROM kv WHERE key = ?'),
+                upsertValue: db.prepare('INSERT INTO kv (key, value) VALUES (?, ?) ON CONFLICT (key) DO UPDATE SET value = excluded.value'),
+                deleteValue: db.prepare('DELETE FROM kv WHERE key = ?'),
+                allBranches: db.prepare('SELECT uuid, data FROM branches'),
+                allValues: db.prepare('SELECT key, value FROM kv'),
+                descendants: db.prepare(`
+                    WITH RECURSIVE subtree (uuid, depth) AS (
+                        SELECT uuid, 1 FROM branches WHERE parent_uuid = ?
+                        UNION
+                        SELECT b.uuid, s.depth + 1 FROM branches b JOIN subtree s ON b.parent_uuid = s.uuid
+                        WHERE s.depth < 10000
+                    )
+                    SELECT DISTINCT uuid FROM subtree
+                `)
+            };
+        },
+
+        async getItem(key) {
+            const row = key.startsWith('branch:')
+                ? statements.getBranch.get(branchUuid(key))
+                : statements.getValue.get(key);
+            if (!row) return undefined;
+            return JSON.parse(row.data ?? row.value);
+        },
+
+        async setItem(key, value) {
+            writeKey(key, value);
+        },
+
+        async removeItem(key) {
+            writeKey(key, null);
+        },
+
+        async keys() {
+            return [
+                ...statements.allBranches.all().map(row => `branch:${row.uuid}`),
+                ...statements.allValues.all().map(row => row.key)
+            ];
+        },
+
+        async forEach(callback) {
+            for (const row of statements.allBranches.all()) {
+                await callback({ key: `branch:${row.uuid}`, value: JSON.parse(row.data) });
+            }
+            for (const row of statements.allValues.all()) {
+                await callback({ key: row.key, value: JSON.parse(row.value) });
+            }
+        },
+
+        async clear() {
+            db.exec('DELETE FROM branches; DELETE FROM kv;');
+        },
+
+        /**
+         * Write many keys in one SQLite transaction
+         * @param {Object} image Values by key, null meaning removed
+         */
+        async writeBatch(image) {
+            db.exec('BEGIN IMMEDIATE');
+            try {
+                for (const [key, value] of Object.entries(image)) {
+                    writeKey(key, value);
+                }
+                db.exec('COMMIT');
+            } catch (error) {
+                db.exec('ROLLBACK');
+                throw error;
+            }
+        },
+
+        /**
+         * UUIDs of every branch below a branch, via a recursive CTE
+         * @param {string} uuid Branch UUID
+         * @returns {Promise<string[]>} Descendant UUIDs
+         */
+        async getDescendants(uuid) {
+            return statements.descendants.all(uuid).map(row => row.uuid).filter(id => id !== uuid);
+        },
+
+        /**
+         * Write a consistent copy of the database, including what is still in the WAL
+         * @param {string} target New database file
+         */
+        async backup(target) {
+            db.prepare('VACUUM INTO ?').run(target);
+        },
+
+        async close() {
+            db?.close();
+            db = null;
+        }
+    };
+}
+
+/**
+ * Back up a user's store into a backup folder laid out like the data directory,
+ * e.g. backups/<name>/users/<handle> or backups/<name>/sqlite/<handle>.sqlite
+ * @param {Object} backend Initialized backend
+ * @param {string} name Backup folder name
+ * @returns {Promise<string>} Path of the copy
+ */
+async function backupStore(backend, name) {
+    const target = path.join(BACKUPS_DIR, name, path.relative(DATA_DIR, backend.dir || backend.file));
+    await fs.mkdir(path.dirname(target), { recursive: true });
+    await backend.backup(target);
+    return target;
+}
+
+/**
+ * Copy every record of a user's node-persist store into another backend.
+ * Reads the storage files directly so the source store doesn't need to be open.
+ * @param {string} handle Sanitized user handle
+ * @param {Object} backend Initialized target backend
+ * @returns {Promise<number>} Number of records copied
+ */
+async function copyNodePersistStore(handle, backend) {
+    const dir = path.join(USERS_DIR, handle);
+    const entries = await fs.readdir(dir, { withFileTypes: true });
+
+    const image = {};
+    for (const entry of entries) {
+        if (!entry.isFile() || entry.name.startsWith('.')) continue;
+        try {
+            const datum = JSON.parse(await fs.readFile(path.join(dir, entry.name), 'utf8'));
+            if (datum && typeof datum.key === 'string') {
+                image[datum.key] = datum.value;
+            }
+        } catch (error) {
+            console.warn('[Chat Branches] Skipping unreadable record:', entry.name, error.message);
+        }
+    }
+
+    if (backend.writeBatch) {
+        await backend.writeBatch(image);
+    } else {
+        for (const [key, value] of Object.entries(image)) {
+            await backend.setItem(key, value);
+        }
+    }
+
+    return Object.keys(image).length;
+}
+
+/**
+ * Check whether a user has node-persist data
+ * @param {string} handle Sanitized user handle
+ * @returns {Promise<boolean>} True if the store directory exists
+ */
+async function hasNodePersistStore(handle) {
+    try {
+        return (await fs.stat(path.join(USERS_DIR, handle))).isDirectory();
+    } catch {
+        return false;
+    }
+}
+
+module.exports = {
+    DATA_DIR,
+    USERS_DIR,
+    SQLITE_DIR,
+    BACKUPS_DIR,
+    BACKENDS,
+    createBackend,
+    listUserHandles,
+    backupStore,
+    copyNodePersistStore,
+    hasNodePersistStore
+};
@@ -0,0 +1,299 @@
+/**
+ * Chat Branches graph export
+ *
+ * Renders a branch tree (buildTree output) as Graphviz DOT, a Mermaid flowchart
+ * or a self-contained HTML page, so story maps can be viewed without SillyTavern.
+ * Every node is labeled with its chat name, branch point and creation date.
+ */
+
+/**
+ * Get the label lines of a node
+ * @param {Object} node Tree node
+ * @returns {string[]} Chat name, branch point and creation date, when known
+ */
+function getNodeLines(node) {
+    const lines = [String(node.chat_name ?? node.uuid)];
+    if (node.branch_point !== null && node.branch_point !== undefined) {
+        lines.push(`branch point ${node.branch_point}`);
+    }
+    const date = formatDate(node.created_at);
+    if (date) {
+        lines.push(date);
+    }
+    return lines;
+}
+
+/**
+ * Format a timestamp as YYYY-MM-DD (UTC)
+ * @param {*} createdAt Milliseconds since the epoch
+ * @returns {string|null} Date, or null if the value isn't a time
+ */
+function formatDate(createdAt) {
+    const date = new Date(Number(createdAt));
+    return Number.isNaN(date.getTime()) || !createdAt ? null : date.toISOString().slice(0, 10);
+}
+
+/**
+ * Visit every node of a tree, parents before children
+ * @param {Object[]} tree Root nodes
+ * @param {function(Object, Object|null): void} callback Receives each node and its parent
+ */
+function walkTree(tree, callback) {
+    const stack = tree.map(node => [node, null]).reverse();
+    while (stack.length > 0) {
+        const [node, parent] = stack.pop();
+        callback(node, parent);
+        for (let i = node.children.length - 1; i >= 0; i--) {
+            stack.push([node.children[i], node]);
+        }
+    }
+}
+
+/**
+ * Quote a string for DOT
+ * @param {string} text Text to quote
+ * @returns {string} Double-quoted DOT string
+ */
+function quoteDot(text) {
+    return `"${String(text).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\r?\n/g, '\\n')}"`;
+}
+
+/**
+ * Render a tree as a Graphviz digraph
+ * @param {Object[]} tree Root nodes
+ * @param {string} title Graph name
+ * @returns {string} DOT source
+ */
+function renderDot(tree, title) {
+    const lines = [
+        `digraph ${quoteDot(title)} {`,
+        '    rankdir=LR;',
+        '    node [shape=box, style=rounded, fontname="Helvetica"];'
+    ];
+    const edges = [];
+
+    walkTree(tree, (node, parent) => {
+        lines.push(`    ${quoteDot(node.uuid)} [label=${quoteDot(getNodeLines(node).join('\n'))}];`);
+        if (parent) {
+            edges.push(`    ${quoteDot(parent.uuid)} -> ${quoteDot(node.uuid)};`);
+        }
+    });
+
+    return [...lines, ...edges, '}', ''].join('\n');
+}
+
+/**
+ * Escape text for a quoted Mermaid label, using Mermaid's #code; entities
+ * @param {string} text Label text
+ * @returns {string} Escaped text
+ */
+function escapeMermaid(text) {
+    return String(text).replace(/[#"<>&]/g, char => `#${char.charCodeAt(0)};`);
+}
+
+/**
+ * Render a tree as a Mermaid flowchart. Node IDs are generated because
+ * UUIDs can contain characters Mermaid doesn't accept in IDs.
+ * @param {Object[]} tree Root nodes
+ * @param {string} title Diagram title
+ * @returns {string} Mermaid source
+ */
+function renderMermaid(tree, title) {
+    const lines = [
+        '---',
+        `title: ${JSON.stringify(String(title))}`,
+        '---',
+        'flowchart LR'
+    ];
+    const edges = [];
+    const ids = new Map();
+
+    walkTree(tree, (node, parent) => {
+        const id = `n${ids.size}`;
+        ids.set(node, id);
+        lines.push(`    ${id}["${getNodeLines(node).map(escapeMermaid).join('<br/>')}"]`);
+        if (parent) {
+            edges.push(`    ${ids.get(parent)} --> ${id}`);
+        }
+    });
+
+    return [...lines, ...edges, ''].join('\n');
+}
+
+/**
+ * Escape text for HTML
+ * @param {string} text Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeHtml(text) {
+    return String(text).replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+}
+
+/**
+ * Render a tree as a standalone HTML page with collapsible nodes, a filter box
+ * and a details panel. Needs no network access: data, styles and script are inline.
+ * @param {Object[]} tree Root nodes
+ * @param {string} title Page title
+ * @returns {string} HTML document
+ */
+function renderHtml(tree, title) {
+    const strip = node => ({
+        uuid: node.uuid,
+        lines: getNodeLines(node),
+        chat_name: node.chat_name ?? null,
+        branch_point: node.branch_point ?? null,
+        created_at: node.created_at ?? null,
+        children: node.children.map(strip)
+    });
+    // Inside <script>, only "<" could end the block early
+    const data = JSON.stringify(tree.map(strip)).replace(/</g, '\\u003c');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)}</title>
+<style>
+    body { font: 14px/1.4 system-ui, sans-serif; margin: 0; display: flex; height: 100vh; color: #222; }
+    main { flex: 1; overflow: auto; padding: 16px; }
+    aside { width: 300px; border-left: 1px solid #ddd; padding: 16px; overflow: auto; background: #fafafa; }
+    header { display: flex; gap: 8px; align-items: center; margin-bottom: 12px; flex-wrap: wrap; }
+    h1 { font-size: 18px; margin: 0 12px 0 0; }
+    ul { list-style: none; margin: 0; padding-left: 20px; border-left: 1px dashed #ccc; }
+    main > ul { padding-left: 0; border-left: none; }
+    li { margin: 4px 0; }
+    .node { display: inline-flex; align-items: center; gap: 6px; padding: 4px 8px; border: 1px solid #bbb; border-radius: 6px; background: #fff; cursor: pointer; }
+    .node.selected { border-color: #2563eb; box-shadow: 0 0 0 2px #bfdbfe; }
+    .node.match { background: #fef9c3; }
+    .node small { color: #666; }
+    .toggle { width: 16px; text-align: center; color: #666; }
+    li.collapsed > ul { display: none; }
+    dt { font-weight: 600; margin-top: 8px; }
+    dd { margin: 0; word-break: break-all; }
+</style>
+</head>
+<body>
+<main>
+    <header>
+        <h1>${escapeHtml(title)}</h1>
+        <input id="filter" type="search" placeholder="Filter by chat name">
+        <button id="expand">Expand all</button>
+        <button id="collapse">Collapse all</button>
+        <span id="count"></span>
+    </header>
+    <ul id="tree"></ul>
+</main>
+<aside id="details">Select a branch to see its details.</aside>
+<script type="application/json" id="data">${data}</script>
+<script>
+(function () {
+    var roots = JSON.parse(document.getElementById('data').textContent);
+    var treeEl = document.getElementById('tree');
+    var details = document.getElementById('details');
+    var items = [];
+    var selected = null;
+
+    function render(node, parentEl) {
+        var li = document.createElement('li');
+        var box = document.createElement('span');
+        var toggle = document.createElement('span');
+        box.className = 'node';
+        toggle.className = 'toggle';
+        toggle.textContent = node.children.length ? '\\u25BE' : '';
+        box.appendChild(toggle);
+
+        var name = document.createElement('span');
+        name.textContent = node.lines[0];
+        box.appendChild(name);
+        var meta = document.createElement('small');
+        meta.textContent = node.lines.slice(1).join(' \\u00B7 ');
+        box.appendChild(meta);
+        li.appendChild(box);
+
+        toggle.addEventListener('click', function (event) {
+            event.stopPropagation();
+            setCollapsed(li, !li.classList.contains('collapsed'));
+        });
+        box.addEventListener('click', function () { select(node, box); });
+
+        if (node.children.length) {
+            var ul = document.createElement('ul');
+            node.children.forEach(function (child) { render(child, ul); });
+            li.appendChild(ul);
+        }
+        parentEl.appendChild(li);
+        items.push({ node: node, li: li, box: box, toggle: toggle });
+    }
+
+    function setCollapsed(li, collapsed) {
+        if (!li.querySelector('ul')) return;
+        li.classList.toggle('collapsed', collapsed);
+        li.querySelector('.toggle').textContent = collapsed ? '\\u25B8' : '\\u25BE';
+    }
+
+    function select(node, box) {
+        if (selected) selected.classList.remove('selected');
+        selected = box;
+        box.classList.add('selected');
+
+        var fields = [
+            ['Chat', node.chat_name],
+            ['UUID', node.uuid],
+            ['Branch point', node.branch_point],
+            ['Created', node.created_at ? new Date(node.created_at).toLocaleString() : null],
+            ['Children', node.children.length]
+        ];
+        var dl = document.createElement('dl');
+        fields.forEach(function (field) {
+            var dt = document.createElement('dt');
+            var dd = document.createElement('dd');
+            dt.textContent = field[0];
+            dd.textContent = field[1] === null || field[1] === undefined ? '\\u2014' : String(field[1]);
+            dl.appendChild(dt);
+            dl.appendChild(dd);
+        });
+        details.replaceChildren(dl);
+    }
+
+    roots.forEach(function (root) { render(root, treeEl); });
+    document.getElementById('count').textContent = items.length + ' branches';
+
+    document.getElementById('expand').addEventListener('click', function () {
+        items.forEach(function (item) { setCollapsed(item.li, false); });
+    });
+    document.getElementById('collapse').addEventListener('click', function () {
+        items.forEach(function (item) { setCollapsed(item.li, true); });
+    });
+    document.getElementById('filter').addEventListener('input', function (event) {
+        var text = event.target.value.trim().toLowerCase();
+        items.forEach(function (item) {
+            var match = text !== '' && item.node.lines[0].toLowerCase().indexOf(text) !== -1;
+            item.box.classList.toggle('match', match);
+            if (!match) return;
+            // Open every ancestor so the match is visible
+            for (var el = item.li.parentElement; el && el !== treeEl; el = el.parentElement) {
+                if (el.tagName === 'LI') setCollapsed(el, false);
+            }
+        });
+    });
+})();
+</script>
+</body>
+</html>
+`;
+}
+
+// format -> how to render and serve it
+const GRAPH_FORMATS = {
+    dot: { render: renderDot, contentType: 'text/vnd.graphviz; charset=utf-8', extension: 'dot' },
+    mermaid: { render: renderMermaid, contentType: 'text/plain; charset=utf-8', extension: 'mmd' },
+    html: { render: renderHtml, contentType: 'text/html; charset=utf-8', extension: 'html' }
+};
+
+module.exports = {
+    GRAPH_FORMATS,
+    renderDot,
+    renderMermaid,
+    renderHtml
+};
@@ -0,0 +1,231 @@
+/**
+ * Chat Branches operation history
+ *
+ * An append-only JSONL file per user in data/history/<handle>.jsonl with one
+ * line per committed transaction: who made it, through which route, and the
+ * before and after values of every record it wrote. Once the file reaches its
+ * size limit it is rotated to <handle>.1.jsonl, replacing the previous rotated
+ * file, and entries past the retention age are trimmed from both. The request
+ * that caused a commit is tracked with AsyncLocalStorage, so routes don't have
+ * to pass it down.
+ */
+
+const path = require('path');
+const fs = require('fs').promises;
+const { createReadStream } = require('fs');
+const readline = require('readline');
+const { AsyncLocalStorage } = require('async_hooks');
+const { DATA_DIR } = require('./backends');
+
+const HISTORY_DIR = path.join(DATA_DIR, 'history');
+
+// { user, method, path, undo_of? } of the request being handled
+const operationContext = new AsyncLocalStorage();
+
+// handle -> Promise of the last append or trim, so lines are written in commit order
+// and never while the files are being rewritten
+const appendQueues = new Map();
+
+/**
+ * Get the history file of a user
+ * @param {string} handle Sanitized user handle
+ * @returns {string} Path to the JSONL file
+ */
+function getHistoryFile(handle) {
+    return path.join(HISTORY_DIR, `${handle}.jsonl`);
+}
+
+/**
+ * Get the rotated history file of a user, holding the entries before the current file
+ * @param {string} handle Sanitized user handle
+ * @returns {string} Path to the JSONL file
+ */
+function getRotatedHistoryFile(handle) {
+    return path.join(HISTORY_DIR, `${handle}.1.jsonl`);
+}
+
+/**
+ * Run a task after the user's pending appends and trims
+ * @param {string} handle Sanitized user handle
+ * @param {function(): Promise<void>} task Task touching the history files
+ * @returns {Promise<void>}
+ */
+function enqueue(handle, task) {
+    const previous = appendQueues.get(handle) || Promise.resolve();
+    const run = previous.then(task);
+
+    appendQueues.set(handle, run.catch(() => {}));
+    return run;
+}
+
+/**
+ * Get the size of a file
+ * @param {string} filePath File path
+ * @returns {Promise<number>} Size in bytes, or 0 if it doesn't exist
+ */
+async function getFileSize(filePath) {
+    try {
+        return (await fs.stat(filePath)).size;
+    } catch (error) {
+        if (error.code === 'ENOENT') return 0;
+        throw error;
+    }
+}
+
+/**
+ * Append an entry to a user's history, rotating the file first if the entry would take it past maxBytes
+ * @param {string} handle Sanitized user handle
+ * @param {Object} entry History entry
+ * @param {{maxBytes?: number}} [limits] Size at which the file is rotated (0 or unset never rotates)
+ * @returns {Promise<void>}
+ */
+function appendHistory(handle, entry, { maxBytes = 0 } = {}) {
+    return enqueue(handle, async () => {
+        const line = `${JSON.stringify(entry)}\n`;
+        await fs.mkdir(HISTORY_DIR, { recursive: true });
+
+        const size = await getFileSize(getHistoryFile(handle));
+        if (maxBytes > 0 && size > 0 && size + Buffer.byteLength(line) > maxBytes) {
+            await fs.rename(getHistoryFile(handle), getRotatedHistoryFile(handle));
+        }
+        await fs.appendFile(getHistoryFile(handle), line, 'utf8');
+    });
+}
+
+/**
+ * Read the entries of one history file oldest first, stopping early if the callback returns false
+ * @param {string} filePath JSONL file
+ * @param {function(Object): (boolean|void)} callback Receives each entry
+ * @returns {Promise<boolean>} False if the callback stopped the read
+ */
+async function readHistoryFile(filePath, callback) {
+    let input;
+    try {
+        await fs.access(filePath);
+        input = createReadStream(filePath, { encoding: 'utf8' });
+    } catch (error) {
+        if (error.code === 'ENOENT') return true;
+        throw error;
+    }
+
+    const lines = readline.createInterface({ input, crlfDelay: Infinity });
+    try {
+        for await (const line of lines) {
+            if (!line.trim()) continue;
+
+            let entry;
+            try {
+                entry = JSON.parse(line);
+            } catch {
+                // A crash mid-append can leave a partial last line
+                continue;
+            }
+            if (callback(entry) === false) return false;
+        }
+        return true;
+    } finally {
+        lines.close();
+        input.destroy();
+    }
+}
+
+/**
+ * Read a user's history oldest first, stopping early if the callback returns false
+ * @param {string} handle Sanitized user handle
+ * @param {function(Object): (boolean|void)} callback Receives each entry
+ * @returns {Promise<void>}
+ */
+async function forEachHistoryEntry(handle, callback) {
+    // Let pending appends land first so a read sees every committed operation
+    await appendQueues.get(handle);
+
+    if (await readHistoryFile(getRotatedHistoryFile(handle), callback)) {
+        await readHistoryFile(getHistoryFile(handle), callback);
+    }
+}
+
+/**
+ * Find the first history entry matching a predicate
+ * @param {string} handle Sanitized user handle
+ * @param {function(Object): boolean} predicate Test for each entry
+ * @returns {Promise<Object|null>} Entry, or null
+ */
+async function findHistoryEntry(handle, predicate) {
+    let found = null;
+    await forEachHistoryEntry(handle, (entry) => {
+        if (predicate(entry)) {
+            found = entry;
+            return false;
+        }
+    });
+    return found;
+}
+
+/**
+ * Drop entries recorded before a cutoff from a user's history files.
+ * A file is only rewritten when its first entry is older than the cutoff.
+ * @param {string} handle Sanitized user handle
+ * @param {number} cutoff Timestamp; entries with an earlier `at` are dropped
+ * @returns {Promise<number>} Number of entries dropped
+ */
+function trimHistory(handle, cutoff) {
+    return enqueue(handle, async () => {
+        let dropped = 0;
+        for (const filePath of [getRotatedHistoryFile(handle), getHistoryFile(handle)]) {
+            let first = null;
+            await readHistoryFile(filePath, (entry) => {
+                first = entry;
+                return false;
+            });
+            if (!first || first.at >= cutoff) continue;
+
+            const kept = [];
+            await readHistoryFile(filePath, (entry) => {
+                if (entry.at >= cutoff) {
+                    kept.push(JSON.stringify(entry));
+                } else {
+                    dropped++;
+                }
+            });
+
+            if (kept.length === 0) {
+                await fs.rm(filePath, { force: true });
+            } else {
+                // Written aside and renamed over the file, so a crash never leaves it half trimmed
+                await fs.writeFile(`${filePath}.tmp`, `${kept.join('\n')}\n`, 'utf8');
+                await fs.rename(`${filePath}.tmp`, filePath);
+            }
+        }
+        return dropped;
+    });
+}
+
+/**
+ * Delete a user's history files
+ * @param {string} handle Sanitized user handle
+ * @returns {Promise<void>}
+ */
+function clearHistory(handle) {
+    return enqueue(handle, async () => {
+        await fs.rm(getRotatedHistoryFile(handle), { force: true });
+        await fs.rm(getHistoryFile(handle), { force: true });
+    });
+}
+
+/**
+ * Forget pending append bookkeeping (appends already started still finish)
+ */
+function clearHistoryQueues() {
+    appendQueues.clear();
+}
+
+module.exports = {
+    HISTORY_DIR,
+    operationContext,
+    appendHistory,
+    forEachHistoryEntry,
+    findHistoryEntry,
+    trimHistory,
+    clearHistory,
+    clearHistoryQueues
+};
@@ -1,14 +1,233 @@
 /**
  * Chat Branches Server Plugin
- * High-performance branch relationship tracking using node-persist
+ * High-performance branch relationship tracking using node-persist or SQLite
  */
 
 const path = require('path');
 const fs = require('fs').promises;
-const storage = require('node-persist');
+const { createReadStream } = require('fs');
+const readline = require('readline');
+const crypto = require('crypto');
+const {
+    DATA_DIR,
+    USERS_DIR,
+    BACKENDS,
+    createBackend,
+    listUserHandles,
+    backupStore,
+    copyNodePersistStore,
+    hasNodePersistStore
+} = require('./backends');
+const {
+    tokenize,
+    getSearchIndex,
+    refreshSearchIndex,
+    querySearchIndex,
+    clearSearchIndices
+} = require('./search');
+const {
+    operationContext,
+    appendHistory,
+    forEachHistoryEntry,
+    findHistoryEntry,
+    trimHistory,
+    clearHistory,
+    clearHistoryQueues
+} = require('./history');
+const {
+    SCHEMA_VERSION_KEY,
+    SCHEMA_VERSION,
+    MIGRATIONS
+} = require('./migrations');
+const { GRAPH_FORMATS } = require('./graph');
+const {
+    ApiError,
+    invalidField,
+    rules,
+    required,
+    nullable,
+    validateRequest,
+    resolveInside
+} = require('./validation');
+
+const DEFAULT_USER_HANDLE = 'default-user';
+const JOURNAL_PREFIX = 'journal:';
+const TRANSACTION_RETRY_LIMIT = 100;
+const CONFIG_PATH = path.join(__dirname, 'config.json');
+
+// Chat metadata field the frontend extension stamps with the chat's branch UUID
+const CHAT_METADATA_UUID_FIELD = 'uuid';
+
+// Chat fingerprints, for finding renamed chats (see readChatFingerprint): messages hashed
+// from the start of a chat and from just after a branch's branch_point, and the header
+// and message fields hashed. chat_metadata is left out because every save rewrites it.
+const FINGERPRINT_PREFIX_MESSAGES = 5;
+const FINGERPRINT_OWN_MESSAGES = 5;
+const FINGERPRINT_HEADER_FIELDS = ['character_name', 'create_date'];
+const FINGERPRINT_MESSAGE_FIELDS = ['name', 'is_user', 'mes'];
+
+// Options of GET and POST /messages/:uuid, from the query string or the body
+const MESSAGES_OPTION_FIELDS = {
+    character_name: rules.name,
+    offset: rules.integer(0),
+    limit: rules.integer(1),
+    around: rules.integer(0),
+    messages_only: rules.boolean,
+    stream: rules.boolean
+};
+
+// Request fields of the branch write routes, shared with /batch
+const BRANCH_CREATE_FIELDS = {
+    uuid: required(rules.id),
+    parent_uuid: nullable(rules.id),
+    root_uuid: required(rules.id),
+    character_id: nullable(rules.name),
+    chat_name: nullable(rules.name),
+    branch_point: nullable(rules.integer()),
+    created_at: nullable(rules.timestamp)
+};
+const BRANCH_PATCH_FIELDS = {
+    chat_name: rules.name,
+    character_id: rules.name,
+    parent_uuid: nullable(rules.id),
+    root_uuid: rules.id
+};
+// Fields of an /import bundle node, checked like a create request. parent_uuid and
+// root_uuid come from where the node sits in the tree, character_id from the import
+const BUNDLE_NODE_FIELDS = {
+    uuid: required(rules.id),
+    chat_name: nullable(rules.name),
+    branch_point: nullable(rules.integer()),
+    created_at: nullable(rules.timestamp)
+};
+const BRANCH_MOVE_FIELDS = {
+    parent_uuid: rules.id,
+    detach: rules.boolean,
+    branch_point: nullable(rules.integer())
+};
+
+// Fields of a pruning rule; the type decides which of the others apply
+const PRUNE_RULE_FIELDS = {
+    type: required(rules.oneOf('stale_leaf', 'missing_chat', 'orphan')),
+    // Only prune this character's branches
+    character_id: nullable(rules.name),
+    // Chats folder when it isn't named after the character ID
+    character_name: nullable(rules.name),
+    // Only prune branches created at least this many days ago
+    older_than_days: rules.integer(0),
+    // stale_leaf: prune leaves with fewer messages than this after their branch_point
+    min_messages: rules.integer(1)
+};
+
+// Defaults for older_than_days (stale_leaf, other rules) and min_messages.
+// The other rules still wait a day so a branch registered before its chat file is saved survives.
+const PRUNE_STALE_DAYS = 7;
+const PRUNE_GRACE_DAYS = 1;
+const PRUNE_MIN_MESSAGES = 2;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Most operations accepted by one /batch request
+const BATCH_MAX_OPERATIONS = 1000;
+
+// Limits for user metadata on branches
+const LABEL_MAX_LENGTH = 200;
+const NOTES_MAX_LENGTH = 20000;
+const TAG_MAX_LENGTH = 50;
+const TAGS_MAX_COUNT = 50;
+
+// Alignments larger than this many comparison cells are skipped (reported as a full replacement)
+const DIFF_MAX_CELLS = 4000000;
+
+// Export bundle identification
+const BUNDLE_FORMAT = 'chat-branches-bundle';
+const BUNDLE_VERSION = 1;
+
+// Shared messages needed before two chats count as related (the greeting alone doesn't)
+const BOOTSTRAP_MIN_SHARED = 2;
+
+// Defaults for options that can be overridden in config.json
+const DEFAULT_CONFIG = {
+    // Where branch data is kept: 'node-persist' (one file per key) or 'sqlite' (Node.js 22.13+ or 23.4+)
+    storageBackend: 'node-persist',
+    // Reconcile branch records against chat files when the plugin starts
+    syncOnStartup: false,
+    // Days a deleted branch stays in the trash before it is purged (0 keeps it forever)
+    trashRetentionDays: 30,
+    // Pruning rules used by POST /prune and the pruning schedule
+    pruneRules: [],
+    // Hours between scheduled runs of pruneRules (0 turns the schedule off)
+    pruneIntervalHours: 0,
+    // Days operations stay in the history (0 keeps them until rotation drops them)
+    historyRetentionDays: 90,
+    // Megabytes the history file may grow to before it is rotated (0 never rotates)
+    historyMaxSizeMB: 10
+};
+
+// Results returned by /search unless ?limit says otherwise, and the most it allows
+const SEARCH_DEFAULT_LIMIT = 50;
+const SEARCH_MAX_LIMIT = 500;
+
+// Characters of context kept on each side of a search hit
+const SEARCH_SNIPPET_RADIUS = 80;
+
+// Operations returned by GET /history unless ?limit is given, and the most it accepts
+const HISTORY_DEFAULT_LIMIT = 50;
+const HISTORY_MAX_LIMIT = 500;
+
+// Branch points listed by the analytics routes
+const ANALYTICS_TOP_BRANCH_POINTS = 10;
+
+// How often expired trash is purged
+const TRASH_PURGE_INTERVAL_MS = 60 * 60 * 1000;
+
+// How often history past historyRetentionDays is trimmed
+const HISTORY_TRIM_INTERVAL_MS = 60 * 60 * 1000;
+
+// Change events kept per user for resuming /events streams
+const EVENT_BUFFER_SIZE = 1000;
+
+// Comment line sent on idle /events streams so proxies keep them open
+const EVENT_HEARTBEAT_MS = 25 * 1000;
+
+// Rename reports kept per user for GET /renames
+const RENAME_REPORT_SIZE = 100;
+
+// How long a /reset confirmation token stays valid
+const RESET_TOKEN_TTL_MS = 60 * 1000;
+
+let config = { ...DEFAULT_CONFIG };
 
 let initialized = false;
 
+// Open storage backends, keyed by user handle
+const userStorages = new Map();
+
+// In-memory key locks, per storage instance
+const storageLocks = new WeakMap();
+
+// Transactions in flight and any pending exclusive section (see runExclusive), per storage instance
+const transactionGates = new WeakMap();
+
+// In-memory branch caches, per storage instance
+const branchCaches = new WeakMap();
+
+// storage -> sanitized user handle, for writing the user's history
+const storageHandles = new WeakMap();
+
+// Change event buffers and subscribers, per storage instance
+const eventChannels = new WeakMap();
+
+// Recent chat rename reports, per storage instance
+const renameReports = new WeakMap();
+
+// Pending /reset confirmation tokens, keyed by user handle
+const resetTokens = new Map();
+
+let trashPurgeInterval = null;
+let pruneInterval = null;
+let historyTrimInterval = null;
+
 /**
  * Initialize the plugin
  * @param {import('express').Router} router Express router
@@ -17,35 +236,77 @@ let initialized = false;
 async function init(router) {
     console.log('[Chat Branches] Initializing plugin...');
 
-    // Initialize node-persist storage
-    const dataDir = path.join(__dirname, 'data');
-    await storage.init({
-        dir: dataDir,
-        stringify: JSON.stringify,
-        parse: JSON.parse,
-        encoding: 'utf8',
-        logging: false,
-        ttl: false
-    });
+    config = await loadConfig();
+    if (!BACKENDS.includes(config.storageBackend)) {
+        throw new Error(`[Chat Branches] Unknown storageBackend in config.json: ${config.storageBackend}`);
+    }
+    config.pruneRules = parseConfigPruneRules(config.pruneRules);
+
+    // Move records from the old shared store into the default user's store
+    await migrateLegacyData();
+
+    // Open every existing user store so interrupted transactions are recovered. On sqlite
+    // this includes users who only have node-persist data yet, which copies it over now,
+    // so startup sync and pruning cover them too
+    const handles = new Set(await listUserHandles(config.storageBackend));
+    if (config.storageBackend === 'sqlite') {
+        for (const handle of await listUserHandles('node-persist')) {
+            handles.add(handle);
+        }
+    }
+    for (const handle of handles) {
+        await getUserStorage(handle);
+    }
 
     initialized = true;
-    console.log('[Chat Branches] Storage initialized at:', dataDir);
+    console.log(`[Chat Branches] Storage initialized (${config.storageBackend}) at:`, DATA_DIR);
+
+    if (config.trashRetentionDays > 0) {
+        purgeAllExpiredTrash();
+        trashPurgeInterval = setInterval(purgeAllExpiredTrash, TRASH_PURGE_INTERVAL_MS);
+        trashPurgeInterval.unref();
+    }
+
+    if (config.pruneIntervalHours > 0 && config.pruneRules.length > 0) {
+        pruneInterval = setInterval(pruneAllUsers, config.pruneIntervalHours * 60 * 60 * 1000);
+        pruneInterval.unref();
+    }
+
+    if (config.historyRetentionDays > 0) {
+        trimAllHistory();
+        historyTrimInterval = setInterval(trimAllHistory, HISTORY_TRIM_INTERVAL_MS);
+        historyTrimInterval.unref();
+    }
+
+    if (config.syncOnStartup) {
+        // Runs in the background so a large chats directory doesn't hold up server start
+        syncAllOnStartup().catch(error => {
+            console.error('[Chat Branches] Startup sync failed:', error);
+        });
+    }
+
+    // Remember who is calling so committed transactions can be attributed in the history
+    router.use((req, res, next) => {
+        operationContext.run({ user: getUserHandle(req), method: req.method, path: req.path }, next);
+    });
 
     // Route: Delete all data for a character
     router.delete('/character/:characterId', async (req, res) => {
         try {
+            validateRequest(req, { params: { characterId: required(rules.name) } });
+            const storage = await getRequestStorage(req);
             const { characterId } = req.params;
             console.log('[Chat Branches] Deleting character data:', characterId);
             
-            const deletedCount = await deleteCharacterData(characterId);
+            const deletedCount = await deleteCharacterData(storage, characterId);
+            publishEvent(storage, { type: 'character.purged', character_id: characterId, count: deletedCount });
             
             res.json({
                 success: true,
                 message: `Deleted ${deletedCount} branches for character ${characterId}`
             });
         } catch (error) {
-            console.error('[Chat Branches] Error deleting character data:', error);
-            res.status(500).json({ success: false, error: error.message });
+            sendError(res, error, 'deleting character data');
         }
     });
 
@@ -57,312 +318,384 @@ async function init(router) {
     // Route: Register a new branch
     router.post('/branch', async (req, res) => {
         try {
-            const { uuid, parent_uuid, root_uuid, character_id, chat_name, branch_point, created_at } = req.body;
+            validateRequest(req, { body: BRANCH_CREATE_FIELDS });
+            const storage = await getRequestStorage(req);
+            const { uuid } = req.body;
 
-            if (!uuid || !root_uuid) {
-                return res.status(400).json({
-                    success: false,
-                    error: 'Missing required fields: uuid, root_uuid'
-                });
-            }
+            const branch = createBranchRecord(req.body);
+            const created = await runTransaction(storage, [`branch:${uuid}`], tx => registerBranch(tx, branch));
 
-            // Check if branch already exists to prevent duplicates
-            const existingBranch = await storage.getItem(`branch:${uuid}`);
-            if (existingBranch) {
+            if (!created) {
                 console.log('[Chat Branches] Branch already exists, skipping registration:', uuid);
                 return res.json({ success: true, message: 'Branch already exists' });
             }
 
-            // Ensure chat_name doesn't have .jsonl extension (we store clean names)
-            const cleanChatName = chat_name ? String(chat_name).replace(/\.jsonl$/i, '') : null;
-
-            const branch = {
-                uuid,
-                parent_uuid: parent_uuid || null,
-                root_uuid,
-                character_id: character_id || null,
-                chat_name: cleanChatName,
-                branch_point: branch_point || null,
-                created_at: created_at || Date.now()
-            };
-
-            // Store branch by UUID
-            await storage.setItem(`branch:${uuid}`, branch);
-
-            // Index by character for fast lookups
-            if (character_id) {
-                let charBranches = await storage.getItem(`char:${character_id}`) || [];
-                if (!charBranches.includes(uuid)) {
-                    charBranches.push(uuid);
-                }
-                // Deduplicate to prevent issues (ensure no duplicates even in race conditions)
-                charBranches = [...new Set(charBranches)];
-                await storage.setItem(`char:${character_id}`, charBranches);
-            }
-
-            // Index by root for fast tree queries
-            let rootBranches = await storage.getItem(`root:${root_uuid}`) || [];
-            if (!rootBranches.includes(uuid)) {
-                rootBranches.push(uuid);
-            }
-            // Deduplicate to prevent issues (ensure no duplicates even in race conditions)
-            rootBranches = [...new Set(rootBranches)];
-            await storage.setItem(`root:${root_uuid}`, rootBranches);
-
             res.json({ success: true });
         } catch (error) {
-            console.error('[Chat Branches] Error inserting branch:', error);
-            res.status(500).json({ success: false, error: error.message });
+            sendError(res, error, 'inserting branch');
         }
     });
 
     // Route: Get full tree for a character
+    // Supports ?depth, ?subtree, ?created_after, ?created_before, ?limit, ?cursor and ?lightweight
     router.get('/tree/:characterId', async (req, res) => {
         try {
+            validateRequest(req, { params: { characterId: required(rules.name) } });
+            const storage = await getRequestStorage(req);
             const { characterId } = req.params;
 
-            // Get all branch UUIDs for this character
-            let branchUuids = await storage.getItem(`char:${characterId}`) || [];
-
-            // Deduplicate UUIDs to prevent duplicate branches
-            branchUuids = [...new Set(branchUuids)];
-
-            // Fetch all branches
-            const branches = [];
-            for (const uuid of branchUuids) {
-                const branch = await storage.getItem(`branch:${uuid}`);
-                if (branch) branches.push(branch);
+            const query = parseTreeQuery(req.query);
+            if (query.error) {
+                throw new ApiError(400, 'INVALID_FIELD', query.error);
             }
 
-            // Sort by creation date
-            branches.sort((a, b) => a.created_at - b.created_at);
+            // A subtree only needs its own branches
+            let branchUuids;
+            if (query.subtree) {
+                const top = await storage.getItem(`branch:${query.subtree}`);
+                branchUuids = top && top.character_id === characterId
+                    ? [top.uuid, ...await getDescendantUuids(storage, top.uuid)]
+                    : [];
+            } else {
+                // Get all branch UUIDs for this character
+                branchUuids = await storage.getItem(`char:${characterId}`) || [];
+            }
 
-            // Build tree structure
-            const tree = buildTree(branches);
+            const result = await queryTree(storage, branchUuids, query);
 
-            res.json({ success: true, tree });
+            res.json({ success: true, ...result });
         } catch (error) {
-            console.error('[Chat Branches] Error fetching tree:', error);
-            res.status(500).json({ success: false, error: error.message });
+            sendError(res, error, 'fetching tree');
         }
     });
 
     // Route: Get tree for specific root
+    // Accepts the same query options as /tree/:characterId
     router.get('/tree/root/:rootUuid', async (req, res) => {
         try {
+            validateRequest(req, { params: { rootUuid: required(rules.id) } });
+            const storage = await getRequestStorage(req);
             const { rootUuid } = req.params;
 
-            // Get all branch UUIDs for this root
-            const branchUuids = await storage.getItem(`root:${rootUuid}`) || [];
-            
-            // Fetch all branches
-            const branches = [];
-            for (const uuid of branchUuids) {
-                const branch = await storage.getItem(`branch:${uuid}`);
-                if (branch) branches.push(branch);
+            const query = parseTreeQuery(req.query);
+            if (query.error) {
+                throw new ApiError(400, 'INVALID_FIELD', query.error);
             }
 
-            // Sort by creation date
-            branches.sort((a, b) => a.created_at - b.created_at);
-
-            // Build tree structure
-            const tree = buildTree(branches);
+            // Get all branch UUIDs for this root
+            const branchUuids = await storage.getItem(`root:${rootUuid}`) || [];
+            const result = await queryTree(storage, branchUuids, query);
 
-            res.json({ success: true, tree });
+            res.json({ success: true, ...result });
         } catch (error) {
-            console.error('[Chat Branches] Error fetching tree by root:', error);
-            res.status(500).json({ success: false, error: error.message });
+            sendError(res, error, 'fetching tree by root');
         }
     });
 
     // Route: Get children of a specific chat
     router.get('/children/:uuid', async (req, res) => {
         try {
+            validateRequest(req, { params: { uuid: required(rules.id) } });
+            const storage = await getRequestStorage(req);
             const { uuid } = req.params;
 
-            // Get all branches for the parent's root
-            const parent = await storage.getItem(`branch:${uuid}`);
-            if (!parent) {
+            // Look up children in the cached parent -> children index
+            const cache = getBranchCache(storage);
+            if (!cache.branches.has(uuid)) {
                 return res.json({ success: true, children: [] });
             }
 
-            const branchUuids = await storage.getItem(`root:${parent.root_uuid}`) || [];
-            
-            // Filter to only children of this UUID
-            const children = [];
-            for (const childUuid of branchUuids) {
-                const branch = await storage.getItem(`branch:${childUuid}`);
-                if (branch && branch.parent_uuid === uuid) {
-                    children.push(branch);
-                }
-            }
+            const children = [...cache.children.get(uuid) || []]
+                .map(childUuid => cache.branches.get(childUuid))
+                .filter(Boolean);
 
             // Sort by creation date
             children.sort((a, b) => a.created_at - b.created_at);
 
             res.json({ success: true, children });
         } catch (error) {
-            console.error('[Chat Branches] Error fetching children:', error);
-            res.status(500).json({ success: false, error: error.message });
+            sendError(res, error, 'fetching children');
         }
     });
 
     // Route: Get branch info by UUID
     router.get('/branch/:uuid', async (req, res) => {
         try {
+            validateRequest(req, { params: { uuid: required(rules.id) } });
+            const storage = await getRequestStorage(req);
             const { uuid } = req.params;
 
             const branch = await storage.getItem(`branch:${uuid}`);
 
             if (!branch) {
-                return res.status(404).json({ 
-                    success: false, 
-                    error: 'Branch not found' 
-                });
+                throw new ApiError(404, 'BRANCH_NOT_FOUND', 'Branch not found');
             }
 
             res.json({ success: true, branch });
         } catch (error) {
-            console.error('[Chat Branches] Error fetching branch:', error);
-            res.status(500).json({ success: false, error: error.message });
+            sendError(res, error, 'fetching branch');
+        }
+    });
+
+    // Route: Path from the root down to a branch, with each hop's branch_point
+    router.get('/branch/:uuid/ancestors', async (req, res) => {
+        try {
+            validateRequest(req, { params: { uuid: required(rules.id) } });
+            const storage = await getRequestStorage(req);
+            const { uuid } = req.params;
+
+            const cache = getBranchCache(storage);
+            if (!cache.branches.has(uuid)) {
+                throw new ApiError(404, 'BRANCH_NOT_FOUND', 'Branch not found');
+            }
+
+            const { chain, issues } = walkAncestors(cache, uuid);
+            const hops = chain.reverse().map((branch, depth) => ({
+                uuid: branch.uuid,
+                parent_uuid: branch.parent_uuid,
+                chat_name: branch.chat_name,
+                label: branch.label ?? null,
+                branch_point: branch.branch_point,
+                depth
+            }));
+
+            res.json({ success: true, path: hops, complete: issues.length === 0, issues });
+        } catch (error) {
+            sendError(res, error, 'fetching ancestors');
+        }
+    });
+
+    // Route: Everything below a branch, as a flat list (default) or a subtree
+    // ?format=flat|tree&depth=N
+    router.get('/branch/:uuid/descendants', async (req, res) => {
+        try {
+            validateRequest(req, {
+                params: { uuid: required(rules.id) },
+                query: { format: rules.oneOf('flat', 'tree'), depth: rules.integer(1) }
+            });
+            const storage = await getRequestStorage(req);
+            const { uuid } = req.params;
+            const maxDepth = req.query.depth ? Number(req.query.depth) : null;
+
+            const cache = getBranchCache(storage);
+            if (!cache.branches.has(uuid)) {
+                throw new ApiError(404, 'BRANCH_NOT_FOUND', 'Branch not found');
+            }
+
+            const walk = walkDescendants(cache, uuid, maxDepth);
+
+            if (req.query.format === 'tree') {
+                return res.json({ success: true, tree: buildDescendantTree(cache, uuid, walk), truncated: walk.truncated.size > 0, issues: walk.issues });
+            }
+
+            res.json({
+                success: true,
+                descendants: walk.descendants.map(({ branch, depth }) => ({ ...branch, depth })),
+                truncated: walk.truncated.size > 0,
+                issues: walk.issues
+            });
+        } catch (error) {
+            sendError(res, error, 'fetching descendants');
+        }
+    });
+
+    // Route: Branches sharing a branch's parent (other roots of the character for a root)
+    router.get('/branch/:uuid/siblings', async (req, res) => {
+        try {
+            validateRequest(req, { params: { uuid: required(rules.id) } });
+            const storage = await getRequestStorage(req);
+            const { uuid } = req.params;
+
+            const cache = getBranchCache(storage);
+            const branch = cache.branches.get(uuid);
+            if (!branch) {
+                throw new ApiError(404, 'BRANCH_NOT_FOUND', 'Branch not found');
+            }
+
+            const candidates = branch.parent_uuid
+                ? [...cache.children.get(branch.parent_uuid) || []].map(siblingUuid => cache.branches.get(siblingUuid))
+                : [...cache.branches.values()].filter(other => !other.parent_uuid && other.character_id === branch.character_id);
+
+            const siblings = candidates
+                .filter(sibling => sibling && sibling.uuid !== uuid)
+                .sort((a, b) => a.created_at - b.created_at);
+
+            res.json({ success: true, parent_uuid: branch.parent_uuid, siblings });
+        } catch (error) {
+            sendError(res, error, 'fetching siblings');
+        }
+    });
+
+    // Route: Lowest common ancestor of two branches
+    router.get('/lca/:uuidA/:uuidB', async (req, res) => {
+        try {
+            validateRequest(req, { params: { uuidA: required(rules.id), uuidB: required(rules.id) } });
+            const storage = await getRequestStorage(req);
+            const { uuidA, uuidB } = req.params;
+
+            const cache = getBranchCache(storage);
+            for (const uuid of [uuidA, uuidB]) {
+                if (!cache.branches.has(uuid)) {
+                    throw new ApiError(404, 'BRANCH_NOT_FOUND', `Branch not found: ${uuid}`, { uuid });
+                }
+            }
+
+            const { ancestor, distanceA, distanceB, issues } = findCommonAncestor(cache, uuidA, uuidB);
+
+            res.json({
+                success: true,
+                ancestor,
+                distance_a: distanceA,
+                distance_b: distanceB,
+                issues
+            });
+        } catch (error) {
+            sendError(res, error, 'finding common ancestor');
         }
     });
 
     // Route: Delete a branch and optionally its children
     router.delete('/branch/:uuid', async (req, res) => {
         try {
+            validateRequest(req, {
+                params: { uuid: required(rules.id) },
+                query: { cascade: rules.boolean }
+            });
+            const storage = await getRequestStorage(req);
             const { uuid } = req.params;
             const { cascade } = req.query; // ?cascade=true to delete children too
 
-            const branch = await storage.getItem(`branch:${uuid}`);
-            if (!branch) {
-                return res.status(404).json({ 
-                    success: false, 
-                    error: 'Branch not found' 
-                });
-            }
+            const deleted = await runTransaction(storage, [`branch:${uuid}`], tx => removeBranch(tx, uuid, cascade === 'true'));
 
-            if (cascade === 'true') {
-                // Delete recursively
-                await deleteRecursive(uuid, branch);
-            } else {
-                // Just delete this one
-                await deleteBranch(uuid, branch);
+            if (!deleted) {
+                throw new ApiError(404, 'BRANCH_NOT_FOUND', 'Branch not found');
             }
 
             res.json({ success: true });
         } catch (error) {
-            console.error('[Chat Branches] Error deleting branch:', error);
-            res.status(500).json({ success: false, error: error.message });
+            sendError(res, error, 'deleting branch');
         }
     });
 
     // Route: Update branch metadata (e.g., chat_name after rename)
     router.patch('/branch/:uuid', async (req, res) => {
         try {
+            validateRequest(req, {
+                params: { uuid: required(rules.id) },
+                body: BRANCH_PATCH_FIELDS
+            });
+            const storage = await getRequestStorage(req);
             const { uuid } = req.params;
-            const { chat_name, character_id, parent_uuid, root_uuid } = req.body;
 
-            const branch = await storage.getItem(`branch:${uuid}`);
-            if (!branch) {
+            // Labels, notes, tags, star and color never touch the structural fields
+            const metadata = parseUserMetadata(req.body);
+            if (metadata.error) {
+                throw new ApiError(400, 'INVALID_FIELD', metadata.error, { field: metadata.field });
+            }
+
+            const branch = await runTransaction(storage, [`branch:${uuid}`], tx => patchBranch(tx, uuid, req.body, metadata.fields));
+
+            if (branch === null) {
                 console.warn('[Chat Branches Plugin] Branch not found for UUID:', uuid);
-                return res.status(404).json({
-                    success: false,
-                    error: 'Branch not found'
-                });
+                throw new ApiError(404, 'BRANCH_NOT_FOUND', 'Branch not found');
+            }
+
+            if (!branch) {
+                throw new ApiError(400, 'NO_CHANGES', 'No fields to update');
             }
 
-            let updated = false;
+            res.json({
+                success: true,
+                branch: branch
+            });
+        } catch (error) {
+            sendError(res, error, 'updating branch');
+        }
+    });
+
+    // Route: Move a branch and its whole subtree under a new parent, or detach it into a new root
+    router.post('/branch/:uuid/move', async (req, res) => {
+        try {
+            validateRequest(req, {
+                params: { uuid: required(rules.id) },
+                body: BRANCH_MOVE_FIELDS
+            });
+            const storage = await getRequestStorage(req);
+            const { uuid } = req.params;
+            const { parent_uuid, detach, branch_point } = req.body;
 
-            if (chat_name !== undefined) {
-                // Ensure chat_name doesn't have .jsonl extension (we store clean names)
-                const cleanChatName = String(chat_name).replace(/\.jsonl$/i, '');
-                branch.chat_name = cleanChatName;
-                updated = true;
+            if (detach !== true && !parent_uuid) {
+                throw new ApiError(400, 'INVALID_FIELD', 'Missing required field: parent_uuid (or detach: true)', { field: 'parent_uuid' });
             }
 
-            if (character_id !== undefined && character_id !== branch.character_id) {
-                // Remove from old character index
-                if (branch.character_id) {
-                    const oldCharBranches = await storage.getItem(`char:${branch.character_id}`) || [];
-                    const filtered = oldCharBranches.filter(id => id !== uuid);
-                    await storage.setItem(`char:${branch.character_id}`, filtered);
-                }
+            const lockKeys = [`branch:${uuid}`];
+            if (detach !== true) lockKeys.push(`branch:${parent_uuid}`);
 
-                // Add to new character index
-                const newCharBranches = await storage.getItem(`char:${character_id}`) || [];
-                if (!newCharBranches.includes(uuid)) {
-                    newCharBranches.push(uuid);
-                    await storage.setItem(`char:${character_id}`, newCharBranches);
-                }
+            const result = await runTransaction(storage, lockKeys, tx => moveSubtree(tx, uuid, {
+                parentUuid: detach === true ? null : parent_uuid,
+                branchPoint: branch_point
+            }));
 
-                branch.character_id = character_id;
-                updated = true;
-            }
-
-            // Preserve parent_uuid if provided (prevents structure corruption)
-            if (parent_uuid !== undefined && parent_uuid !== branch.parent_uuid) {
-                // If moving between roots, update root indices
-                if (branch.root_uuid !== root_uuid) {
-                    // Remove from old root index
-                    const oldRootBranches = await storage.getItem(`root:${branch.root_uuid}`) || [];
-                    const filtered = oldRootBranches.filter(id => id !== uuid);
-                    await storage.setItem(`root:${branch.root_uuid}`, filtered);
-                    
-                    // Add to new root index
-                    const newRootBranches = await storage.getItem(`root:${root_uuid}`) || [];
-                    if (!newRootBranches.includes(uuid)) {
-                        newRootBranches.push(uuid);
-                        await storage.setItem(`root:${root_uuid}`, newRootBranches);
-                    }
-                }
-                
-                branch.parent_uuid = parent_uuid;
-                updated = true;
-            }
-
-            // Preserve root_uuid if provided (prevents structure corruption)
-            if (root_uuid !== undefined && root_uuid !== branch.root_uuid) {
-                // If root is changing, update root indices
-                if (branch.root_uuid) {
-                    const oldRootBranches = await storage.getItem(`root:${branch.root_uuid}`) || [];
-                    const filtered = oldRootBranches.filter(id => id !== uuid);
-                    await storage.setItem(`root:${branch.root_uuid}`, filtered);
-                }
-                
-                // Add to new root index
-                const newRootBranches = await storage.getItem(`root:${root_uuid}`) || [];
-                if (!newRootBranches.includes(uuid)) {
-                    newRootBranches.push(uuid);
-                    await storage.setItem(`root:${root_uuid}`, newRootBranches);
-                }
-                
-                branch.root_uuid = root_uuid;
-                updated = true;
+            if (result.error) {
+                throw new ApiError(result.status, result.code, result.error);
             }
 
-            if (!updated) {
-                return res.status(400).json({
-                    success: false,
-                    error: 'No fields to update'
-                });
+            res.json({ success: true, ...result });
+        } catch (error) {
+            sendError(res, error, 'moving branch');
+        }
+    });
+
+    // Route: Run many create, patch, move and delete operations in one transaction
+    // Body: { operations: [{ op, uuid, ...fields }], atomic }. Each index key is written once at commit.
+    router.post('/batch', async (req, res) => {
+        try {
+            validateRequest(req, { body: { operations: required(rules.array), atomic: rules.boolean } });
+            const { operations, atomic } = req.body;
+            if (operations.length === 0 || operations.length > BATCH_MAX_OPERATIONS) {
+                throw new ApiError(400, 'INVALID_FIELD', `operations must hold 1 to ${BATCH_MAX_OPERATIONS} operations`, { field: 'operations' });
             }
+            const storage = await getRequestStorage(req);
 
-            await storage.setItem(`branch:${uuid}`, branch);
+            const lockKeys = operations
+                .filter(operation => typeof operation?.uuid === 'string')
+                .map(operation => `branch:${operation.uuid}`);
 
-            res.json({
-                success: true,
-                branch: branch
+            const results = await runTransaction(storage, lockKeys, async (tx) => {
+                const results = [];
+                for (const [index, operation] of operations.entries()) {
+                    const savepoint = tx.savepoint();
+                    try {
+                        results.push({ index, op: operation?.op ?? null, success: true, ...await runBatchOperation(tx, operation) });
+                    } catch (error) {
+                        // Lock conflicts and storage failures abort the whole batch
+                        if (!(error instanceof ApiError)) throw error;
+
+                        tx.rollbackTo(savepoint);
+                        const failure = { index, op: operation?.op ?? null, success: false, error: error.message, code: error.code, ...error.details };
+                        if (atomic === true) {
+                            throw new ApiError(error.status, 'BATCH_FAILED', `Operation ${index} failed: ${error.message}`, { failed: failure });
+                        }
+                        results.push(failure);
+                    }
+                }
+                return results;
             });
+
+            const applied = results.filter(result => result.success).length;
+            console.log(`[Chat Branches] Batch applied ${applied} of ${results.length} operations`);
+
+            res.json({ success: true, atomic: atomic === true, applied, failed: results.length - applied, results });
         } catch (error) {
-            console.error('[Chat Branches Plugin] Error updating branch:', error);
-            res.status(500).json({ success: false, error: error.message });
+            sendError(res, error, 'running batch');
         }
     });
 
     // Route: Get all orphaned branches (parent_uuid doesn't exist)
     router.get('/orphans/:characterId', async (req, res) => {
         try {
+            validateRequest(req, { params: { characterId: required(rules.name) } });
+            const storage = await getRequestStorage(req);
             const { characterId } = req.params;
 
             const branchUuids = await storage.getItem(`char:${characterId}`) || [];
@@ -381,74 +714,114 @@ async function init(router) {
 
             res.json({ success: true, orphans });
         } catch (error) {
-            console.error('[Chat Branches] Error fetching orphans:', error);
-            res.status(500).json({ success: false, error: error.message });
+            sendError(res, error, 'fetching orphans');
         }
     });
 
     // Route: Get all branches (for searching by chat_name)
     router.get('/branches', async (req, res) => {
         try {
-            const { chat_name } = req.query;
-
-            // Get all branch keys
-            const keys = await storage.keys();
-            const branchKeys = keys.filter(k => k.startsWith('branch:'));
+            validateRequest(req, {
+                query: {
+                    chat_name: rules.name,
+                    character_id: rules.name,
+                    tags: rules.string(),
+                    starred: rules.boolean
+                }
+            });
+            const storage = await getRequestStorage(req);
+            const { chat_name, character_id, tags, starred } = req.query;
+            const cache = getBranchCache(storage);
 
-            // Fetch all branches
-            const branches = [];
-            for (const key of branchKeys) {
-                const branch = await storage.getItem(key);
-                if (branch) {
-                    // Filter by chat_name if provided
-                    if (!chat_name || branch.chat_name === chat_name) {
-                        branches.push(branch);
-                    }
+            let branches;
+            if (chat_name && character_id) {
+                // Single read of the character's persisted chat_name index
+                const names = await storage.getItem(`names:${character_id}`) || {};
+                branches = [];
+                for (const uuid of names[chat_name] || []) {
+                    const branch = await storage.getItem(`branch:${uuid}`);
+                    if (branch) branches.push(branch);
+                }
+            } else if (chat_name) {
+                branches = [...cache.byChatName.get(chat_name) || []]
+                    .map(uuid => cache.branches.get(uuid))
+                    .filter(Boolean);
+            } else {
+                branches = [...cache.branches.values()];
+                if (character_id) {
+                    branches = branches.filter(b => b.character_id === character_id);
                 }
             }
 
+            // ?tags=a,b keeps branches carrying every listed tag
+            if (tags) {
+                const wanted = String(tags).split(',').map(tag => tag.trim()).filter(Boolean);
+                branches = branches.filter(b => wanted.every(tag => (b.tags || []).includes(tag)));
+            }
+            if (starred !== undefined) {
+                branches = branches.filter(b => !!b.starred === (starred === 'true'));
+            }
+
             // Sort by creation date
             branches.sort((a, b) => a.created_at - b.created_at);
 
             res.json({ success: true, branches });
         } catch (error) {
-            console.error('[Chat Branches] Error fetching branches:', error);
-            res.status(500).json({ success: false, error: error.message });
+            sendError(res, error, 'fetching branches');
+        }
+    });
+
+    // Route: List the tags used by a character's branches, with counts
+    router.get('/tags/:characterId', async (req, res) => {
+        try {
+            validateRequest(req, { params: { characterId: required(rules.name) } });
+            const storage = await getRequestStorage(req);
+            const { characterId } = req.params;
+
+            const counts = new Map();
+            for (const branch of getBranchCache(storage).branches.values()) {
+                if (branch.character_id !== characterId) continue;
+                for (const tag of branch.tags || []) {
+                    counts.set(tag, (counts.get(tag) || 0) + 1);
+                }
+            }
+
+            const tags = [...counts]
+                .map(([tag, count]) => ({ tag, count }))
+                .sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag));
+
+            res.json({ success: true, tags });
+        } catch (error) {
+            sendError(res, error, 'fetching tags');
         }
     });
 
     // Route: Clean duplicates from storage
     router.post('/clean-duplicates', async (req, res) => {
         try {
+            const storage = await getRequestStorage(req);
             console.log('[Chat Branches] Starting duplicate cleanup...');
 
-            const keys = await storage.keys();
-            const charKeys = keys.filter(k => k.startsWith('char:'));
-            const rootKeys = keys.filter(k => k.startsWith('root:'));
+            const cache = getBranchCache(storage);
+            const charKeys = [...cache.charKeys];
+            const rootKeys = [...cache.rootKeys];
 
             let totalDuplicatesRemoved = 0;
 
-            // Clean character indices
-            for (const key of charKeys) {
-                const original = await storage.getItem(key) || [];
-                const deduplicated = [...new Set(original)];
-                if (deduplicated.length !== original.length) {
-                    const removed = original.length - deduplicated.length;
-                    totalDuplicatesRemoved += removed;
-                    console.log(`[Chat Branches] Cleaned ${removed} duplicates from ${key}`);
-                    await storage.setItem(key, deduplicated);
-                }
-            }
+            // Clean character and root indices
+            for (const key of [...charKeys, ...rootKeys]) {
+                const removed = await runTransaction(storage, [key], async (tx) => {
+                    const original = await tx.getItem(key) || [];
+                    const deduplicated = [...new Set(original)];
+                    if (deduplicated.length !== original.length) {
+                        await tx.setItem(key, deduplicated);
+                    }
+                    return original.length - deduplicated.length;
+                });
 
-            // Clean root indices
-            for (const key of rootKeys) {
-                const original = await storage.getItem(key) || [];
-                const deduplicated = [...new Set(original)];
-                if (deduplicated.length !== original.length) {
-                    const removed = original.length - deduplicated.length;
+                if (removed > 0) {
                     totalDuplicatesRemoved += removed;
                     console.log(`[Chat Branches] Cleaned ${removed} duplicates from ${key}`);
-                    await storage.setItem(key, deduplicated);
                 }
             }
 
@@ -457,113 +830,3798 @@ async function init(router) {
                 message: `Cleaned ${totalDuplicatesRemoved} duplicate entries from storage`
             });
         } catch (error) {
-            console.error('[Chat Branches] Error cleaning duplicates:', error);
-            res.status(500).json({ success: false, error: error.message });
+            sendError(res, error, 'cleaning duplicates');
         }
     });
 
-    // Route: Reset database (useful for testing)
-    router.post('/reset', async (req, res) => {
+    // Route: Check storage integrity
+    router.get('/fsck', async (req, res) => {
         try {
-            await storage.clear();
-            res.json({ success: true, message: 'Database reset' });
+            const storage = await getRequestStorage(req);
+            const report = await checkIntegrity(storage);
+
+            res.json({ success: true, report });
         } catch (error) {
-            console.error('[Chat Branches] Error resetting database:', error);
-            res.status(500).json({ success: false, error: error.message });
+            sendError(res, error, 'checking storage integrity');
         }
     });
 
-    // Route: Get chat messages directly from file
-    router.post('/messages/:uuid', async (req, res) => {
+    // Route: Rebuild char:/root:/names: indices from branch records
+    router.post('/fsck/repair', async (req, res) => {
         try {
-            const { uuid } = req.params;
-            const { character_name } = req.body;
-
-            // Get branch info to find the chat name
-            const branch = await storage.getItem(`branch:${uuid}`);
-            if (!branch) {
-                return res.status(404).json({
-                    success: false,
-                    error: 'Branch not found'
-                });
-            }
+            const storage = await getRequestStorage(req);
+            console.log('[Chat Branches] Rebuilding indices from branch records...');
 
-            if (!branch.chat_name) {
-                return res.status(404).json({
-                    success: false,
-                    error: 'Branch has no chat_name associated'
-                });
-            }
+            const repaired = await rebuildIndices(storage);
+            const report = await checkIntegrity(storage);
 
-            // Construct the path to the chat file
-            // SillyTavern stores chats in: /chats/{character_name}/{chat_name}.jsonl
-            // Ensure we don't double-add .jsonl extension
-            const cleanChatName = String(branch.chat_name).replace(/\.jsonl$/i, '');
-            const chatFileName = `${cleanChatName}.jsonl`;
-            const chatFilePath = path.join(process.cwd(), 'chats', character_name || branch.character_id || '', chatFileName);
+            res.json({ success: true, repaired, report });
+        } catch (error) {
+            sendError(res, error, 'repairing storage');
+        }
+    });
 
-            // Read the file
-            const fileContent = await fs.readFile(chatFilePath, 'utf8');
+    // Route: Reconcile branch records against the character's chat files
+    // Previews the diff by default; pass { apply: true } to write it
+    router.post('/sync/:characterId', async (req, res) => {
+        try {
+            validateRequest(req, {
+                params: { characterId: required(rules.name) },
+                body: { character_name: rules.name, apply: rules.boolean }
+            });
+            const storage = await getRequestStorage(req);
+            const { characterId } = req.params;
+            const { character_name, apply } = req.body;
 
-            // Parse JSONL format
-            const lines = fileContent.split('\n').filter(line => line.trim());
-            const messages = [];
+            const characterDir = getCharacterDirectory(req, character_name || characterId);
+            const diff = await computeChatSync(storage, characterId, characterDir);
 
-            for (const line of lines) {
-                try {
-                    const parsed = JSON.parse(line);
-                    messages.push(parsed);
-                } catch (parseError) {
-                    console.warn('[Chat Branches] Failed to parse line:', parseError.message);
-                    // Skip malformed lines
-                }
+            if (apply === true) {
+                await applyChatSync(storage, diff);
             }
 
-            res.json({
-                success: true,
-                messages: messages,
-                chat_name: cleanChatName
-            });
+            res.json({ success: true, applied: apply === true, diff });
         } catch (error) {
-            console.error('[Chat Branches] Error loading chat messages:', error);
-            res.status(500).json({
-                success: false,
-                error: error.message
-            });
+            sendError(res, error, 'syncing chat files');
         }
     });
 
-    // Route: Get database stats
-    router.get('/stats', async (req, res) => {
+    // Route: Recent chat renames the plugin applied or could not resolve, newest first
+    // Filled by /sync with apply, startup sync and /messages finding a chat file gone
+    router.get('/renames', async (req, res) => {
         try {
-            const keys = await storage.keys();
-            const branchKeys = keys.filter(k => k.startsWith('branch:'));
-            const charKeys = keys.filter(k => k.startsWith('char:'));
-            const rootKeys = keys.filter(k => k.startsWith('root:'));
+            validateRequest(req, { query: { character_id: rules.name } });
+            const storage = await getRequestStorage(req);
+            const { character_id } = req.query;
 
-            res.json({
-                success: true,
-                stats: {
-                    totalBranches: branchKeys.length,
-                    characters: charKeys.length,
-                    roots: rootKeys.length
-                }
-            });
+            const reports = (renameReports.get(storage) || [])
+                .filter(report => !character_id || report.character_id === character_id)
+                .slice()
+                .reverse();
+
+            res.json({ success: true, reports });
         } catch (error) {
-            console.error('[Chat Branches] Error fetching stats:', error);
-            res.status(500).json({ success: false, error: error.message });
+            sendError(res, error, 'fetching rename reports');
         }
     });
 
-    console.log('[Chat Branches] Plugin initialized successfully');
-}
+    // Route: Infer branch trees from a character's existing chat files
+    // Previews the import by default; pass { apply: true } to register the branches
+    router.post('/bootstrap/:characterId', async (req, res) => {
+        try {
+            validateRequest(req, {
+                params: { characterId: required(rules.name) },
+                body: { character_name: rules.name, apply: rules.boolean, min_shared: rules.integer(1) }
+            });
+            const storage = await getRequestStorage(req);
+            const { characterId } = req.params;
+            const { character_name, apply, min_shared } = req.body;
 
-/**
- * Build hierarchical tree structure from flat branch list
- * @param {Array} branches Flat list of branches
- * @returns {Array} Tree structure
- */
-function buildTree(branches) {
+            const characterDir = getCharacterDirectory(req, character_name || characterId);
+            const plan = await planBootstrap(storage, characterId, characterDir, {
+                minShared: min_shared || BOOTSTRAP_MIN_SHARED
+            });
+
+            if (apply === true && plan.created.length > 0) {
+                await runTransaction(storage, [`char:${characterId}`], async (tx) => {
+                    for (const branch of plan.created) {
+                        await insertBranch(tx, branch);
+                    }
+                });
+                console.log(`[Chat Branches] Bootstrapped ${plan.created.length} branches for character:`, characterId);
+            }
+
+            res.json({ success: true, applied: apply === true, plan });
+        } catch (error) {
+            sendError(res, error, 'bootstrapping branches');
+        }
+    });
+
+    // Route: Export a character's branch tree as a portable bundle
+    router.get('/export/:characterId', async (req, res) => {
+        try {
+            validateRequest(req, {
+                params: { characterId: required(rules.name) },
+                query: { include_chats: rules.boolean, character_name: rules.name }
+            });
+            const storage = await getRequestStorage(req);
+            const { characterId } = req.params;
+            const { include_chats, character_name } = req.query;
+
+            const branchUuids = await storage.getItem(`char:${characterId}`) || [];
+            const bundle = await createExportBundle(storage, branchUuids, {
+                character_id: characterId,
+                characterDir: include_chats === 'true'
+                    ? getCharacterDirectory(req, character_name || characterId)
+                    : null
+            });
+
+            res.json({ success: true, bundle });
+        } catch (error) {
+            sendError(res, error, 'exporting character');
+        }
+    });
+
+    // Route: Export a single root's branch tree as a portable bundle
+    router.get('/export/root/:rootUuid', async (req, res) => {
+        try {
+            validateRequest(req, {
+                params: { rootUuid: required(rules.id) },
+                query: { include_chats: rules.boolean, character_name: rules.name }
+            });
+            const storage = await getRequestStorage(req);
+            const { rootUuid } = req.params;
+            const { include_chats, character_name } = req.query;
+
+            const branchUuids = await storage.getItem(`root:${rootUuid}`) || [];
+            const rootBranch = await storage.getItem(`branch:${rootUuid}`);
+            const characterId = rootBranch?.character_id || null;
+            const bundle = await createExportBundle(storage, branchUuids, {
+                character_id: characterId,
+                root_uuid: rootUuid,
+                characterDir: include_chats === 'true'
+                    ? getCharacterDirectory(req, character_name || characterId || '')
+                    : null
+            });
+
+            res.json({ success: true, bundle });
+        } catch (error) {
+            sendError(res, error, 'exporting root');
+        }
+    });
+
+    // Route: Render a character's branch tree as a graph
+    // ?format=dot|mermaid|html (default dot)&root_uuid=<only this tree>&download=true
+    router.get('/export-graph/:characterId', async (req, res) => {
+        try {
+            validateRequest(req, {
+                params: { characterId: required(rules.name) },
+                query: { format: rules.oneOf(...Object.keys(GRAPH_FORMATS)), root_uuid: rules.id, download: rules.boolean }
+            });
+            const storage = await getRequestStorage(req);
+            const { characterId } = req.params;
+            const { root_uuid, download } = req.query;
+            const format = GRAPH_FORMATS[req.query.format || 'dot'];
+
+            const branches = [...getBranchCache(storage).branches.values()]
+                .filter(b => b.character_id === characterId && (!root_uuid || b.root_uuid === root_uuid))
+                .sort((a, b) => a.created_at - b.created_at);
+            const graph = format.render(buildTree(branches), root_uuid ? `${characterId} (${root_uuid})` : characterId);
+
+            if (download === 'true') {
+                res.attachment(`${characterId}.${format.extension}`);
+            }
+            res.set('Content-Type', format.contentType).send(graph);
+        } catch (error) {
+            sendError(res, error, 'exporting graph');
+        }
+    });
+
+    // Route: Import a bundle produced by /export
+    router.post('/import', async (req, res) => {
+        try {
+            validateRequest(req, {
+                body: { bundle: required(rules.object), character_id: rules.name, character_name: rules.name }
+            });
+            const storage = await getRequestStorage(req);
+            const { bundle, character_id, character_name } = req.body;
+
+            const validationError = validateBundle(bundle);
+            if (validationError) {
+                throw new ApiError(400, 'INVALID_BUNDLE', `Invalid bundle: ${validationError}`);
+            }
+
+            // Rebind to another character if requested
+            const targetCharacterId = character_id || bundle.character_id || null;
+            const folderName = character_name || targetCharacterId;
+
+            // Bundled chats belong in a character folder, never the chats root
+            if (!folderName && Object.keys(bundle.chats || {}).length > 0) {
+                throw invalidField('character_id', 'character_id or character_name is required to import a bundle with chats');
+            }
+            const characterDir = folderName ? getCharacterDirectory(req, folderName) : null;
+
+            const result = await importBundle(storage, bundle, targetCharacterId, characterDir);
+            console.log(`[Chat Branches] Imported ${result.imported} branches for character:`, targetCharacterId);
+
+            res.json({ success: true, ...result });
+        } catch (error) {
+            sendError(res, error, 'importing bundle');
+        }
+    });
+
+    // Route: Show the configured pruning rules and schedule
+    router.get('/prune/rules', async (req, res) => {
+        res.json({ success: true, rules: config.pruneRules, interval_hours: config.pruneIntervalHours });
+    });
+
+    // Route: Find branches matched by pruning rules and move them to the trash
+    // Uses the configured rules unless the body has { rules }; previews unless { apply: true }
+    router.post('/prune', async (req, res) => {
+        try {
+            validateRequest(req, { body: { rules: rules.array, character_id: rules.name, apply: rules.boolean } });
+            const { character_id, apply } = req.body;
+            const pruneRules = req.body.rules ? parsePruneRules(req.body.rules) : config.pruneRules;
+            if (pruneRules.length === 0) {
+                throw new ApiError(400, 'INVALID_FIELD', 'No pruning rules given or configured', { field: 'rules' });
+            }
+            const storage = await getRequestStorage(req);
+
+            const plan = await planPrune(storage, getUserHandle(req), getChatsDirectory(req), pruneRules, character_id || null);
+            const pruned = apply === true ? await applyPrune(storage, plan.candidates) : 0;
+
+            res.json({ success: true, applied: apply === true, rules: pruneRules, ...plan, pruned });
+        } catch (error) {
+            sendError(res, error, 'pruning branches');
+        }
+    });
+
+    // Route: List deleted branches in the trash
+    router.get('/trash', async (req, res) => {
+        try {
+            validateRequest(req, { query: { character_id: rules.name } });
+            const storage = await getRequestStorage(req);
+            const { character_id } = req.query;
+
+            const trashUuids = await storage.getItem('trash') || [];
+            const trash = [];
+            for (const uuid of trashUuids) {
+                const entry = await storage.getItem(`trash:${uuid}`);
+                if (!entry) continue;
+                if (character_id && entry.branch.character_id !== character_id) continue;
+                trash.push(entry);
+            }
+
+            // Most recently deleted first
+            trash.sort((a, b) => b.deleted_at - a.deleted_at);
+
+            res.json({ success: true, trash });
+        } catch (error) {
+            sendError(res, error, 'fetching trash');
+        }
+    });
+
+    // Route: Restore a deleted branch and its deleted descendants
+    router.post('/trash/:uuid/restore', async (req, res) => {
+        try {
+            validateRequest(req, { params: { uuid: required(rules.id) } });
+            const storage = await getRequestStorage(req);
+            const { uuid } = req.params;
+
+            const result = await runTransaction(storage, ['trash', `trash:${uuid}`], tx => restoreFromTrash(tx, uuid));
+
+            if (!result) {
+                throw new ApiError(404, 'BRANCH_NOT_FOUND', 'Branch not found in trash');
+            }
+
+            res.json({ success: true, ...result });
+        } catch (error) {
+            sendError(res, error, 'restoring branch');
+        }
+    });
+
+    // Route: Compare the chat messages of two branches
+    router.get('/diff/:uuidA/:uuidB', async (req, res) => {
+        try {
+            validateRequest(req, {
+                params: { uuidA: required(rules.id), uuidB: required(rules.id) },
+                query: { character_name: rules.name }
+            });
+            const storage = await getRequestStorage(req);
+            const { uuidA, uuidB } = req.params;
+            const { character_name } = req.query;
+
+            const branchA = await storage.getItem(`branch:${uuidA}`);
+            const branchB = await storage.getItem(`branch:${uuidB}`);
+            if (!branchA || !branchB) {
+                const missing = !branchA ? uuidA : uuidB;
+                throw new ApiError(404, 'BRANCH_NOT_FOUND', `Branch not found: ${missing}`, { uuid: missing });
+            }
+
+            if (!branchA.chat_name || !branchB.chat_name) {
+                throw new ApiError(404, 'CHAT_NOT_LINKED', 'Branch has no chat_name associated');
+            }
+
+            const chatsDir = getChatsDirectory(req);
+            const [, ...messagesA] = await readChatFile(getBranchChatPath(chatsDir, branchA, character_name));
+            const [, ...messagesB] = await readChatFile(getBranchChatPath(chatsDir, branchB, character_name));
+
+            const ancestry = findCommonAncestor(getBranchCache(storage), uuidA, uuidB);
+            const diff = diffChats(messagesA, messagesB);
+
+            // The branch_point of the first branch below the common ancestor says where
+            // the chats should split; compare that with where the content actually does
+            const branchPoints = [ancestry.childA, ancestry.childB]
+                .filter(Boolean)
+                .map(branch => Number(branch.branch_point))
+                .filter(Number.isInteger);
+            const expectedIndex = branchPoints.length > 0 ? Math.min(...branchPoints) + 1 : null;
+
+            res.json({
+                success: true,
+                diff: {
+                    a: { uuid: uuidA, chat_name: branchA.chat_name, message_count: messagesA.length },
+                    b: { uuid: uuidB, chat_name: branchB.chat_name, message_count: messagesB.length },
+                    common_ancestor: ancestry.ancestor ? ancestry.ancestor.uuid : null,
+                    divergence: {
+                        index: diff.divergenceIndex,
+                        expected_index: expectedIndex,
+                        branch_point_matches: expectedIndex === null ? null : expectedIndex === diff.divergenceIndex
+                    },
+                    entries: diff.entries
+                }
+            });
+        } catch (error) {
+            sendError(res, error, 'diffing branches');
+        }
+    });
+
+    // Route: Stream branch changes as Server-Sent Events
+    // Filter with ?character_id and/or ?root_uuid; resume with Last-Event-ID or ?cursor
+    router.get('/events', async (req, res) => {
+        try {
+            validateRequest(req, { query: { character_id: rules.name, root_uuid: rules.id } });
+            const storage = await getRequestStorage(req);
+            const { character_id, root_uuid } = req.query;
+            const cursor = req.get('Last-Event-ID') || req.query.cursor;
+
+            res.writeHead(200, {
+                'Content-Type': 'text/event-stream',
+                'Cache-Control': 'no-cache',
+                'Connection': 'keep-alive',
+                'X-Accel-Buffering': 'no'
+            });
+            res.flushHeaders();
+
+            const send = (event) => {
+                if (!eventMatches(event, character_id, root_uuid)) return;
+                res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+                // Compression middleware buffers output unless told to flush
+                res.flush?.();
+            };
+
+            const channel = getEventChannel(storage);
+
+            // Catch up on everything after the client's cursor
+            if (cursor !== undefined) {
+                const after = parseEventCursor(channel, cursor);
+                const oldest = channel.buffer.length > 0 ? channel.buffer[0].seq : channel.seq + 1;
+                if (after === null || after < oldest - 1) {
+                    // Too far behind, or from before a restart: the client has to refetch its trees
+                    const id = formatEventId(channel, channel.seq);
+                    res.write(`id: ${id}\nevent: resync\ndata: ${JSON.stringify({ type: 'resync', id })}\n\n`);
+                } else {
+                    channel.buffer.filter(entry => entry.seq > after).forEach(entry => send(entry.event));
+                }
+            }
+
+            res.write(`event: ready\ndata: ${JSON.stringify({ type: 'ready', cursor: formatEventId(channel, channel.seq) })}\n\n`);
+            res.flush?.();
+
+            channel.subscribers.add(send);
+            const heartbeat = setInterval(() => {
+                res.write(': heartbeat\n\n');
+                res.flush?.();
+            }, EVENT_HEARTBEAT_MS);
+
+            req.on('close', () => {
+                clearInterval(heartbeat);
+                channel.subscribers.delete(send);
+            });
+        } catch (error) {
+            sendError(res, error, 'opening event stream');
+        }
+    });
+
+    // Route: Reset database (useful for testing)
+    // The first call returns a confirmation token that must be sent back as { confirm }
+    router.post('/reset', async (req, res) => {
+        try {
+            validateRequest(req, { body: { confirm: rules.string(64) } });
+            const storage = await getRequestStorage(req);
+            const handle = getUserHandle(req);
+            const { confirm } = req.body || {};
+
+            const pending = resetTokens.get(handle);
+            if (!confirm || !pending || pending.token !== confirm || pending.expires_at < Date.now()) {
+                const token = crypto.randomBytes(8).toString('hex');
+                resetTokens.set(handle, { token, expires_at: Date.now() + RESET_TOKEN_TTL_MS });
+
+                throw new ApiError(400, 'CONFIRMATION_REQUIRED', 'Reset deletes all branch data permanently. Send the confirm token to proceed', {
+                    confirm_token: token,
+                    expires_in: RESET_TOKEN_TTL_MS
+                });
+            }
+
+            resetTokens.delete(handle);
+            // No transaction may commit between the clear and the cache rebuild
+            await runExclusive(storage, async () => {
+                // Readers outside transactions see an empty store from here on, never stale branches
+                branchCaches.set(storage, createBranchCache());
+                await storage.clear();
+                await storage.setItem(SCHEMA_VERSION_KEY, SCHEMA_VERSION);
+                await loadBranchCache(storage);
+            });
+            publishEvent(storage, { type: 'reset' });
+            // Earlier operations can't be undone against an empty store, so their history goes
+            // too; the reset itself is logged but can't be undone either
+            await clearHistory(handle);
+            await recordHistory(storage, { id: createOperationId(), created_at: Date.now(), before: {}, after: {} }, { reset: true });
+            console.log('[Chat Branches] Database reset for user:', handle);
+            res.json({ success: true, message: 'Database reset' });
+        } catch (error) {
+            sendError(res, error, 'resetting database');
+        }
+    });
+
+    // Route: List past operations, newest first
+    // ?character_id=&uuid=&before=<operation id>&limit=&snapshots=true
+    router.get('/history', async (req, res) => {
+        try {
+            validateRequest(req, {
+                query: {
+                    character_id: rules.name,
+                    uuid: rules.id,
+                    before: rules.id,
+                    limit: rules.integer(1, HISTORY_MAX_LIMIT),
+                    snapshots: rules.boolean
+                }
+            });
+            const storage = await getRequestStorage(req);
+            const { character_id, uuid, before } = req.query;
+            const limit = req.query.limit ? Number(req.query.limit) : HISTORY_DEFAULT_LIMIT;
+
+            const { operations, hasMore } = await queryHistory(storageHandles.get(storage), { characterId: character_id, uuid, before, limit });
+
+            res.json({
+                success: true,
+                operations: req.query.snapshots === 'true'
+                    ? operations
+                    : operations.map(({ before, after, indices, ...operation }) => ({
+                        ...operation,
+                        keys: [...Object.keys(after), ...Object.keys(indices)]
+                    })),
+                has_more: hasMore
+            });
+        } catch (error) {
+            sendError(res, error, 'fetching history');
+        }
+    });
+
+    // Route: Revert one operation, if nothing it wrote has changed since
+    router.post('/history/:opId/undo', async (req, res) => {
+        try {
+            validateRequest(req, { params: { opId: required(rules.id) } });
+            const storage = await getRequestStorage(req);
+            const handle = storageHandles.get(storage);
+            const { opId } = req.params;
+
+            const operation = await findHistoryEntry(handle, entry => entry.id === opId);
+            if (!operation) {
+                throw new ApiError(404, 'OPERATION_NOT_FOUND', 'Operation not found');
+            }
+            if (operation.reset) {
+                throw new ApiError(409, 'UNDO_NOT_SUPPORTED', 'A database reset cannot be undone');
+            }
+
+            // The undo is logged like any other operation, pointing back at the one it reverts
+            const context = { ...operationContext.getStore(), undo_of: opId };
+            const reverted = await operationContext.run(context, () => undoOperation(storage, handle, operation));
+
+            res.json({ success: true, undone: opId, branches: reverted });
+        } catch (error) {
+            sendError(res, error, 'undoing operation');
+        }
+    });
+
+    // Route: Search message text across every branch of a character, or of all characters
+    // ?q=words&character_id=&character_name=&limit=
+    router.get('/search', async (req, res) => {
+        try {
+            validateRequest(req, {
+                query: {
+                    q: required(rules.string(1000)),
+                    character_id: rules.name,
+                    character_name: rules.name,
+                    limit: rules.integer(1, SEARCH_MAX_LIMIT)
+                }
+            });
+            const storage = await getRequestStorage(req);
+            const { q, character_id, character_name } = req.query;
+
+            const tokens = tokenize(q);
+            if (tokens.length === 0) {
+                throw new ApiError(400, 'INVALID_FIELD', 'q must contain at least one word', { field: 'q' });
+            }
+
+            const limit = req.query.limit ? Number(req.query.limit) : SEARCH_DEFAULT_LIMIT;
+
+            const chatsDir = getChatsDirectory(req);
+            const { results, total } = await searchChats(storage, getUserHandle(req), chatsDir, tokens, {
+                characterId: character_id || null,
+                folder: character_id ? character_name || character_id : null,
+                limit
+            });
+
+            res.json({ success: true, query: q, total, results });
+        } catch (error) {
+            sendError(res, error, 'searching chats');
+        }
+    });
+
+    // Route: Get chat messages directly from file
+    // GET takes the options as query parameters, POST in the body:
+    // character_name, offset/limit or around (messages on each side of branch_point),
+    // messages_only (leave out the header line), stream (NDJSON instead of one JSON object)
+    const loadMessages = async (req, res) => {
+        try {
+            const location = req.method === 'GET' ? 'query' : 'body';
+            validateRequest(req, {
+                params: { uuid: required(rules.id) },
+                [location]: MESSAGES_OPTION_FIELDS
+            });
+            const storage = await getRequestStorage(req);
+            const { uuid } = req.params;
+            const options = parseMessagesOptions(req[location]);
+
+            // Get branch info to find the chat name
+            let branch = await storage.getItem(`branch:${uuid}`);
+            if (!branch) {
+                throw new ApiError(404, 'BRANCH_NOT_FOUND', 'Branch not found');
+            }
+
+            if (!branch.chat_name) {
+                throw new ApiError(404, 'CHAT_NOT_LINKED', 'Branch has no chat_name associated');
+            }
+
+            let start = options.offset ?? 0;
+            let end = options.limit === null ? Infinity : start + options.limit;
+            if (options.around !== null) {
+                if (options.offset !== null || options.limit !== null) {
+                    throw new ApiError(400, 'INVALID_FIELD', 'around cannot be combined with offset or limit', { field: 'around' });
+                }
+                const branchPoint = Number(branch.branch_point);
+                if (branch.branch_point === null || branch.branch_point === undefined || !Number.isInteger(branchPoint)) {
+                    throw new ApiError(400, 'NO_BRANCH_POINT', 'Branch has no branch_point to read around');
+                }
+                start = Math.max(branchPoint - options.around, 0);
+                end = branchPoint + options.around + 1;
+            }
+
+            let chatFilePath = getBranchChatPath(getChatsDirectory(req), branch, options.character_name);
+            let renamedFrom = null;
+            let file;
+            try {
+                file = await fs.open(chatFilePath, 'r');
+            } catch (error) {
+                if (error.code !== 'ENOENT' || !branch.character_id) throw error;
+
+                // The chat may have been renamed in SillyTavern without the client patching the branch
+                const characterDir = getCharacterDirectory(req, options.character_name || branch.character_id);
+                const renamedTo = await findRenamedChat(storage, branch, characterDir);
+                if (!renamedTo) throw error;
+
+                renamedFrom = branch.chat_name;
+                branch = { ...branch, chat_name: renamedTo };
+                chatFilePath = getBranchChatPath(getChatsDirectory(req), branch, options.character_name);
+                file = await fs.open(chatFilePath, 'r');
+            }
+            const cleanChatName = String(branch.chat_name).replace(/\.jsonl$/i, '');
+
+            try {
+                // The same file and options always produce the same response
+                const stat = await file.stat();
+                const digest = crypto.createHash('sha1').update(JSON.stringify([chatFilePath, options])).digest('hex').slice(0, 12);
+                const etag = `W/"${stat.size.toString(16)}-${Math.floor(stat.mtimeMs).toString(16)}-${digest}"`;
+                res.set('ETag', etag);
+                res.set('Cache-Control', 'no-cache');
+
+                const ifNoneMatch = req.get('If-None-Match');
+                if (ifNoneMatch && ifNoneMatch.split(',').map(tag => tag.trim()).includes(etag)) {
+                    res.status(304).end();
+                    return;
+                }
+
+                const range = { start, end, messagesOnly: options.messages_only };
+                const input = file.createReadStream({ encoding: 'utf8', autoClose: false });
+                if (options.stream) {
+                    res.set('Content-Type', 'application/x-ndjson; charset=utf-8');
+                    const read = await readChatWindow(input, range, line => writeNdjsonLine(res, line));
+                    await writeNdjsonLine(res, {
+                        type: 'end',
+                        chat_name: cleanChatName,
+                        ...(renamedFrom ? { renamed_from: renamedFrom } : {}),
+                        offset: start,
+                        count: read.count,
+                        has_more: read.hasMore
+                    });
+                    res.end();
+                    return;
+                }
+
+                const messages = [];
+                const read = await readChatWindow(input, range, (line) => {
+                    if (line.type === 'header') messages.push(line.header);
+                    if (line.type === 'message') messages.push(line.message);
+                });
+
+                res.json({
+                    success: true,
+                    messages: messages,
+                    chat_name: cleanChatName,
+                    ...(renamedFrom ? { renamed_from: renamedFrom } : {}),
+                    offset: start,
+                    has_more: read.hasMore,
+                    parse_errors: read.parseErrors
+                });
+            } finally {
+                await file.close();
+            }
+        } catch (error) {
+            sendError(res, error, 'loading chat messages');
+        }
+    };
+    router.get('/messages/:uuid', loadMessages);
+    router.post('/messages/:uuid', loadMessages);
+
+    // Route: Tree analytics for a character, with message counts from its chat files
+    // ?character_name= (chats folder) &bucket=day|week|month (creation activity)
+    router.get('/analytics/:characterId', async (req, res) => {
+        try {
+            validateRequest(req, {
+                params: { characterId: required(rules.name) },
+                query: { character_name: rules.name, bucket: rules.oneOf('day', 'week', 'month') }
+            });
+            const storage = await getRequestStorage(req);
+            const { characterId } = req.params;
+            const { character_name, bucket } = req.query;
+
+            const branches = [...getBranchCache(storage).branches.values()].filter(b => b.character_id === characterId);
+            const analytics = computeTreeStats(branches, bucket || 'day');
+            analytics.messages = await countBranchMessages(storage, getUserHandle(req), getChatsDirectory(req), character_name || characterId, branches);
+
+            res.json({ success: true, character_id: characterId, analytics });
+        } catch (error) {
+            sendError(res, error, 'computing character analytics');
+        }
+    });
+
+    // Route: Tree analytics for one root
+    // Accepts the same query options as /analytics/:characterId
+    router.get('/analytics/root/:rootUuid', async (req, res) => {
+        try {
+            validateRequest(req, {
+                params: { rootUuid: required(rules.id) },
+                query: { character_name: rules.name, bucket: rules.oneOf('day', 'week', 'month') }
+            });
+            const storage = await getRequestStorage(req);
+            const { rootUuid } = req.params;
+            const { character_name, bucket } = req.query;
+
+            const branches = [...getBranchCache(storage).branches.values()].filter(b => b.root_uuid === rootUuid);
+            if (branches.length === 0) {
+                throw new ApiError(404, 'BRANCH_NOT_FOUND', 'Root not found');
+            }
+
+            const folder = character_name || branches[0].character_id;
+            const analytics = computeTreeStats(branches, bucket || 'day');
+            analytics.messages = folder
+                ? await countBranchMessages(storage, getUserHandle(req), getChatsDirectory(req), folder, branches)
+                : null;
+
+            res.json({ success: true, root_uuid: rootUuid, analytics });
+        } catch (error) {
+            sendError(res, error, 'computing root analytics');
+        }
+    });
+
+    // Route: Analytics for the whole store, broken down by character (no message counts)
+    router.get('/analytics', async (req, res) => {
+        try {
+            validateRequest(req, { query: { bucket: rules.oneOf('day', 'week', 'month') } });
+            const storage = await getRequestStorage(req);
+
+            const byCharacter = new Map();
+            for (const branch of getBranchCache(storage).branches.values()) {
+                const characterId = branch.character_id || null;
+                if (!byCharacter.has(characterId)) byCharacter.set(characterId, []);
+                byCharacter.get(characterId).push(branch);
+            }
+
+            const characters = [...byCharacter].map(([characterId, branches]) => {
+                const stats = computeTreeStats(branches, 'day');
+                return {
+                    character_id: characterId,
+                    branch_count: stats.branch_count,
+                    root_count: stats.root_count,
+                    leaf_count: stats.leaf_count,
+                    max_depth: stats.max_depth,
+                    average_depth: stats.average_depth,
+                    branching_factor: stats.branching_factor,
+                    last_created_at: branches.reduce((latest, b) => Math.max(latest, Number(b.created_at) || 0), 0)
+                };
+            });
+            characters.sort((a, b) => b.branch_count - a.branch_count);
+
+            const totals = computeTreeStats([...getBranchCache(storage).branches.values()], req.query.bucket || 'day');
+
+            res.json({ success: true, totals, characters });
+        } catch (error) {
+            sendError(res, error, 'computing analytics');
+        }
+    });
+
+    // Route: Get database stats
+    router.get('/stats', async (req, res) => {
+        try {
+            const storage = await getRequestStorage(req);
+            const cache = getBranchCache(storage);
+
+            res.json({
+                success: true,
+                stats: {
+                    totalBranches: cache.branches.size,
+                    characters: cache.charKeys.size,
+                    roots: cache.rootKeys.size
+                }
+            });
+        } catch (error) {
+            sendError(res, error, 'fetching stats');
+        }
+    });
+
+    console.log('[Chat Branches] Plugin initialized successfully');
+}
+
+/**
+ * Send an error response: { success: false, error, code, ...details }.
+ * ApiErrors are sent as they are; anything else is logged and reported as INTERNAL_ERROR
+ * so file paths and other internals never reach the client.
+ * @param {import('express').Response} res Express response
+ * @param {Error} error Caught error
+ * @param {string} action What the route was doing, for the log
+ */
+function sendError(res, error, action) {
+    if (res.headersSent) {
+        // Streaming responses can't change their status any more
+        console.error(`[Chat Branches] Error ${action}:`, error);
+        res.end();
+        return;
+    }
+
+    if (error instanceof ApiError) {
+        res.status(error.status).json({ success: false, error: error.message, code: error.code, ...error.details });
+        return;
+    }
+
+    // A chat file that isn't on disk is a client-side problem, not a server fault
+    if (error.code === 'ENOENT' && error.syscall === 'open') {
+        res.status(404).json({ success: false, error: 'Chat file not found', code: 'CHAT_FILE_NOT_FOUND' });
+        return;
+    }
+
+    console.error(`[Chat Branches] Error ${action}:`, error);
+    res.status(500).json({ success: false, error: 'Internal server error', code: 'INTERNAL_ERROR' });
+}
+
+/**
+ * Get the handle of the user making a request
+ * @param {import('express').Request} req Express request
+ * @returns {string} User handle
+ */
+function getUserHandle(req) {
+    return req.user?.profile?.handle || DEFAULT_USER_HANDLE;
+}
+
+/**
+ * Get (and lazily open) the storage backend for a user
+ * @param {string} handle User handle
+ * @returns {Promise<Object>} Storage backend (see backends.js)
+ */
+async function getUserStorage(handle) {
+    // Handles are slugs in SillyTavern, but never let one escape the users directory
+    const safeHandle = String(handle).replace(/[^a-z0-9_-]/gi, '_');
+
+    if (!userStorages.has(safeHandle)) {
+        const ready = (async () => {
+            const storage = createBackend(config.storageBackend, safeHandle);
+            storageHandles.set(storage, safeHandle);
+            const isNewStore = storage.name === 'sqlite'
+                && !(await listUserHandles('sqlite')).includes(safeHandle);
+            await storage.init();
+
+            // First use of SQLite: bring over the user's node-persist data
+            if (isNewStore && await hasNodePersistStore(safeHandle)) {
+                const copied = await copyNodePersistStore(safeHandle, storage);
+                console.log(`[Chat Branches] Copied ${copied} node-persist records to SQLite for user:`, safeHandle);
+            }
+
+            await recoverJournal(storage);
+            await loadBranchCache(storage);
+            await ensureNameIndices(storage);
+            // Migrations are system operations, whichever request happened to open the store
+            await operationContext.exit(() => migrateSchema(storage));
+            return storage;
+        })();
+
+        // Cache the pending init so concurrent requests share one instance
+        userStorages.set(safeHandle, ready);
+        ready.catch(() => userStorages.delete(safeHandle));
+    }
+
+    return userStorages.get(safeHandle);
+}
+
+/**
+ * Get the storage instance scoped to the requesting user
+ * @param {import('express').Request} req Express request
+ * @returns {Promise<Object>} Storage backend (see backends.js)
+ */
+function getRequestStorage(req) {
+    return getUserStorage(getUserHandle(req));
+}
+
+/**
+ * Get the chats directory of the requesting user
+ * @param {import('express').Request} req Express request
+ * @returns {string} Absolute path to the user's chats directory
+ */
+function getChatsDirectory(req) {
+    return req.user?.directories?.chats || path.join(process.cwd(), 'chats');
+}
+
+/**
+ * Get a character's folder in the user's chats directory
+ * @param {import('express').Request} req Express request
+ * @param {string} folderName Character name or ID
+ * @returns {string} Path to chats/<character>
+ * @throws {ApiError} INVALID_PATH if the name points outside the chats directory
+ */
+function getCharacterDirectory(req, folderName) {
+    return resolveInside(getChatsDirectory(req), folderName);
+}
+
+/**
+ * One-time migration of the old shared store into the default user's store.
+ * Records used to live directly in the data directory; any storage files found
+ * there are copied to the default user and then removed.
+ * @returns {Promise<void>}
+ */
+async function migrateLegacyData() {
+    await fs.mkdir(USERS_DIR, { recursive: true });
+
+    const entries = await fs.readdir(DATA_DIR, { withFileTypes: true });
+    const legacyFiles = entries.filter(entry => entry.isFile() && !entry.name.startsWith('.'));
+
+    if (legacyFiles.length === 0) {
+        return;
+    }
+
+    console.log(`[Chat Branches] Migrating ${legacyFiles.length} legacy records to user:`, DEFAULT_USER_HANDLE);
+
+    const storage = await getUserStorage(DEFAULT_USER_HANDLE);
+    let migratedCount = 0;
+
+    for (const entry of legacyFiles) {
+        const filePath = path.join(DATA_DIR, entry.name);
+        try {
+            const datum = JSON.parse(await fs.readFile(filePath, 'utf8'));
+            if (datum && typeof datum.key === 'string') {
+                await storage.setItem(datum.key, datum.value);
+                migratedCount++;
+            }
+            await fs.unlink(filePath);
+        } catch (error) {
+            console.warn('[Chat Branches] Failed to migrate legacy record:', entry.name, error.message);
+        }
+    }
+
+    // Records were written around the transaction layer, so rebuild what derives from them
+    await loadBranchCache(storage);
+    await ensureNameIndices(storage);
+
+    // Legacy records predate schema versions, so migrate them from the start
+    await storage.removeItem(SCHEMA_VERSION_KEY);
+    await migrateSchema(storage);
+
+    console.log(`[Chat Branches] Migrated ${migratedCount} legacy records`);
+}
+
+/**
+ * Bring a user store up to the current schema version (see migrations.js).
+ * The store is backed up before the first pending step runs; a store without
+ * any records has nothing to migrate and is only stamped with the current version.
+ * @param {Object} storage User storage instance
+ * @returns {Promise<void>}
+ */
+async function migrateSchema(storage) {
+    const version = Number(await storage.getItem(SCHEMA_VERSION_KEY)) || 0;
+    const pending = MIGRATIONS.filter(step => step.version > version);
+    if (pending.length === 0) {
+        return;
+    }
+
+    if ((await storage.keys()).length === 0) {
+        await storage.setItem(SCHEMA_VERSION_KEY, SCHEMA_VERSION);
+        return;
+    }
+
+    const handle = storageHandles.get(storage);
+    const backupName = `${new Date().toISOString().replace(/[:.]/g, '-')}-schema-v${version}`;
+    const backup = await backupStore(storage, backupName);
+    console.log(`[Chat Branches] Backed up store before schema migration (user: ${handle}):`, backup);
+
+    for (const step of pending) {
+        // The version moves in the same transaction as the step's writes
+        const changed = await runTransaction(storage, [SCHEMA_VERSION_KEY], async (tx) => {
+            const count = await step.migrate(tx, await readAllRecords(storage));
+            await tx.setItem(SCHEMA_VERSION_KEY, step.version);
+            return count;
+        });
+        console.log(`[Chat Branches] Schema migration ${step.version} (${step.name}) changed ${changed} records for user:`, handle);
+    }
+}
+
+/**
+ * Thrown inside a transaction when a key is locked by another transaction.
+ * The transaction is rolled back and retried once that lock is released.
+ */
+class LockConflictError extends Error {
+    constructor(key, lock) {
+        super(`Key is locked by another transaction: ${key}`);
+        this.name = 'LockConflictError';
+        this.lock = lock;
+    }
+}
+
+/**
+ * Get the in-memory lock table for a storage instance
+ * @param {Object} storage User storage instance
+ * @returns {Map<string, Object>} Held locks by key
+ */
+function getLockTable(storage) {
+    if (!storageLocks.has(storage)) {
+        storageLocks.set(storage, new Map());
+    }
+    return storageLocks.get(storage);
+}
+
+/**
+ * Create a transaction over a storage instance.
+ * Reads and writes lock their keys for the lifetime of the transaction, writes
+ * are buffered until commit, and reads see the transaction's own writes.
+ * @param {Object} storage User storage instance
+ * @returns {Object} Transaction with getItem/setItem/removeItem/savepoint/rollbackTo/commit/release
+ */
+function createTransaction(storage) {
+    const locks = getLockTable(storage);
+    const held = new Map();
+    const writes = new Map();
+
+    const tx = {
+        storage,
+
+        /**
+         * Lock a key, waiting for other transactions to release it.
+         * Only valid while no other locks are held, so waiting cannot deadlock.
+         * @param {string} key Storage key
+         */
+        async lock(key) {
+            while (!held.has(key)) {
+                const lock = locks.get(key);
+                if (lock) {
+                    await lock.released;
+                    continue;
+                }
+                takeLock(key);
+            }
+        },
+
+        /**
+         * Lock a key without waiting
+         * @param {string} key Storage key
+         * @throws {LockConflictError} If another transaction holds the key
+         */
+        tryLock(key) {
+            if (held.has(key)) {
+                return;
+            }
+            const lock = locks.get(key);
+            if (lock) {
+                throw new LockConflictError(key, lock);
+            }
+            takeLock(key);
+        },
+
+        async getItem(key) {
+            tx.tryLock(key);
+            if (writes.has(key)) {
+                const value = writes.get(key);
+                return value === null ? undefined : structuredClone(value);
+            }
+            return storage.getItem(key);
+        },
+
+        async setItem(key, value) {
+            tx.tryLock(key);
+            writes.set(key, structuredClone(value));
+        },
+
+        async removeItem(key) {
+            tx.tryLock(key);
+            writes.set(key, null);
+        },
+
+        /**
+         * Snapshot the buffered writes so a failed step can be undone
+         * without giving up the rest of the transaction
+         * @returns {Map<string, *>} Savepoint for rollbackTo()
+         */
+        savepoint() {
+            // Buffered values are cloned on the way in and out, so sharing them is safe
+            return new Map(writes);
+        },
+
+        /**
+         * Drop every write made since a savepoint. Locks taken since are kept.
+         * @param {Map<string, *>} savepoint Result of savepoint()
+         */
+        rollbackTo(savepoint) {
+            writes.clear();
+            for (const [key, value] of savepoint) {
+                writes.set(key, value);
+            }
+        },
+
+        /**
+         * Keys written (or removed) by this transaction so far
+         * @returns {string[]} Storage keys
+         */
+        pendingKeys() {
+            return [...writes.keys()];
+        },
+
+        /**
+         * Journal and apply all buffered writes
+         */
+        async commit() {
+            if (writes.size === 0) {
+                return;
+            }
+
+            // Derived indices are updated in the same journal entry as the records
+            await syncNameIndices(tx, storage);
+
+            const entry = {
+                id: createOperationId(),
+                created_at: Date.now(),
+                before: {},
+                after: Object.fromEntries(writes)
+            };
+            for (const key of writes.keys()) {
+                const value = await storage.getItem(key);
+                entry.before[key] = value === undefined ? null : value;
+            }
+
+            if (storage.writeBatch) {
+                // The backend writes atomically on its own
+                await storage.writeBatch(entry.after);
+            } else {
+                // The journal entry is the commit point: once written, recovery replays it
+                await storage.setItem(`${JOURNAL_PREFIX}${entry.id}`, entry);
+                await applyJournalImage(storage, entry.after);
+                await storage.removeItem(`${JOURNAL_PREFIX}${entry.id}`);
+            }
+            updateBranchCache(storage, entry.after);
+            publishBranchChanges(storage, entry);
+            await recordHistory(storage, entry);
+        },
+
+        /**
+         * Release every lock held by this transaction
+         */
+        release() {
+            for (const [key, lock] of held) {
+                locks.delete(key);
+                lock.release();
+            }
+            held.clear();
+        }
+    };
+
+    function takeLock(key) {
+        let release;
+        const released = new Promise(resolve => { release = resolve; });
+        const lock = { released, release };
+        locks.set(key, lock);
+        held.set(key, lock);
+    }
+
+    return tx;
+}
+
+/**
+ * Get the transaction gate of a storage instance
+ * @param {Object} storage User storage instance
+ * @returns {{running: number, exclusive: Promise<void>|null, onIdle: function|null}} Gate
+ */
+function getTransactionGate(storage) {
+    if (!transactionGates.has(storage)) {
+        transactionGates.set(storage, { running: 0, exclusive: null, onIdle: null });
+    }
+    return transactionGates.get(storage);
+}
+
+/**
+ * Run work with a store to itself, for changes that bypass the lock table like a reset.
+ * New transactions wait until the work is done, and the work starts only once
+ * every running transaction has committed or failed. Must not be called from a transaction.
+ * @param {Object} storage User storage instance
+ * @param {function(): Promise<*>} work Exclusive work
+ * @returns {Promise<*>} Result of the work
+ */
+async function runExclusive(storage, work) {
+    const gate = getTransactionGate(storage);
+    while (gate.exclusive) {
+        await gate.exclusive;
+    }
+
+    let release;
+    gate.exclusive = new Promise(resolve => { release = resolve; });
+    try {
+        if (gate.running > 0) {
+            await new Promise(resolve => { gate.onIdle = resolve; });
+        }
+        return await work();
+    } finally {
+        gate.onIdle = null;
+        gate.exclusive = null;
+        release();
+    }
+}
+
+/**
+ * Run a unit of work as an atomic, serialized transaction.
+ * Keys in lockKeys are locked up front; any other key touched is locked on
+ * first access, and the whole unit is retried if another transaction holds it.
+ * @param {Object} storage User storage instance
+ * @param {string[]} lockKeys Keys to lock before running the work
+ * @param {function(Object): Promise<*>} work Receives the transaction
+ * @returns {Promise<*>} Result of the work
+ */
+async function runTransaction(storage, lockKeys, work) {
+    const sortedKeys = [...new Set(lockKeys)].sort();
+
+    // Wait out a reset or other exclusive section
+    const gate = getTransactionGate(storage);
+    while (gate.exclusive) {
+        await gate.exclusive;
+    }
+
+    gate.running++;
+    try {
+        for (let attempt = 1; ; attempt++) {
+            const tx = createTransaction(storage);
+            let conflict;
+
+            try {
+                // Sorted acquisition keeps concurrent transactions from deadlocking
+                for (const key of sortedKeys) {
+                    await tx.lock(key);
+                }
+
+                const result = await work(tx);
+                await tx.commit();
+                return result;
+            } catch (error) {
+                if (!(error instanceof LockConflictError) || attempt >= TRANSACTION_RETRY_LIMIT) {
+                    throw error;
+                }
+                conflict = error;
+            } finally {
+                tx.release();
+            }
+
+            await conflict.lock.released;
+        }
+    } finally {
+        gate.running--;
+        if (gate.running === 0 && gate.onIdle) {
+            gate.onIdle();
+        }
+    }
+}
+
+/**
+ * Write a journal image (key -> value, null meaning removed) to storage
+ * @param {Object} storage User storage instance
+ * @param {Object} image Values by key
+ */
+async function applyJournalImage(storage, image) {
+    for (const [key, value] of Object.entries(image)) {
+        if (value === null) {
+            await storage.removeItem(key);
+        } else {
+            await storage.setItem(key, value);
+        }
+    }
+}
+
+/**
+ * Finish transactions interrupted by a crash.
+ * Committed journal entries are replayed; if replay fails, the entry's
+ * before-image is restored instead so the branch and its indices agree.
+ * @param {Object} storage User storage instance
+ * @returns {Promise<void>}
+ */
+async function recoverJournal(storage) {
+    const keys = await storage.keys();
+    const journalKeys = keys.filter(k => k.startsWith(JOURNAL_PREFIX));
+
+    const entries = [];
+    for (const key of journalKeys) {
+        const entry = await storage.getItem(key);
+        if (entry) entries.push({ key, entry });
+    }
+
+    // Replay in commit order
+    entries.sort((a, b) => a.entry.created_at - b.entry.created_at);
+
+    for (const { key, entry } of entries) {
+        try {
+            await applyJournalImage(storage, entry.after);
+            console.log('[Chat Branches] Replayed interrupted transaction:', entry.id);
+        } catch (error) {
+            console.error('[Chat Branches] Failed to replay transaction, rolling back:', entry.id, error);
+            await applyJournalImage(storage, entry.before);
+        }
+        await storage.removeItem(key);
+    }
+}
+
+/**
+ * Get the in-memory branch cache of a storage instance
+ * @param {Object} storage User storage instance
+ * @returns {Object} Cache with branches, byChatName, children, charKeys and rootKeys
+ */
+function getBranchCache(storage) {
+    if (!branchCaches.has(storage)) {
+        branchCaches.set(storage, createBranchCache());
+    }
+    return branchCaches.get(storage);
+}
+
+/**
+ * Create an empty branch cache
+ * @returns {Object} Branch cache
+ */
+function createBranchCache() {
+    return {
+        // uuid -> branch record
+        branches: new Map(),
+        // chat_name -> Set of uuids
+        byChatName: new Map(),
+        // parent_uuid -> Set of child uuids
+        children: new Map(),
+        // Existing char:/root: index keys
+        charKeys: new Set(),
+        rootKeys: new Set()
+    };
+}
+
+/**
+ * Add a UUID to a Set stored in a Map
+ * @param {Map<string, Set<string>>} map Map of sets
+ * @param {string} key Map key
+ * @param {string} uuid Value to add
+ */
+function addToSetMap(map, key, uuid) {
+    if (!map.has(key)) map.set(key, new Set());
+    map.get(key).add(uuid);
+}
+
+/**
+ * Remove a UUID from a Set stored in a Map, dropping empty sets
+ * @param {Map<string, Set<string>>} map Map of sets
+ * @param {string} key Map key
+ * @param {string} uuid Value to remove
+ */
+function removeFromSetMap(map, key, uuid) {
+    const set = map.get(key);
+    if (!set) return;
+    set.delete(uuid);
+    if (set.size === 0) map.delete(key);
+}
+
+/**
+ * Load the branch cache from storage with a single pass over all records
+ * @param {Object} storage User storage instance
+ * @returns {Promise<void>}
+ */
+async function loadBranchCache(storage) {
+    const cache = createBranchCache();
+    branchCaches.set(storage, cache);
+
+    const image = {};
+    await storage.forEach(({ key, value }) => {
+        image[key] = value;
+    });
+    updateBranchCache(storage, image);
+}
+
+/**
+ * Apply committed writes (key -> value, null meaning removed) to the branch cache
+ * @param {Object} storage User storage instance
+ * @param {Object} image Values by key
+ */
+function updateBranchCache(storage, image) {
+    const cache = getBranchCache(storage);
+
+    for (const [key, value] of Object.entries(image)) {
+        if (key.startsWith('char:')) {
+            value === null ? cache.charKeys.delete(key) : cache.charKeys.add(key);
+        } else if (key.startsWith('root:')) {
+            value === null ? cache.rootKeys.delete(key) : cache.rootKeys.add(key);
+        } else if (key.startsWith('branch:')) {
+            const uuid = key.slice('branch:'.length);
+            const previous = cache.branches.get(uuid);
+            if (previous) {
+                removeFromSetMap(cache.byChatName, previous.chat_name, uuid);
+                removeFromSetMap(cache.children, previous.parent_uuid, uuid);
+                cache.branches.delete(uuid);
+            }
+            if (value) {
+                cache.branches.set(uuid, value);
+                if (value.chat_name) addToSetMap(cache.byChatName, value.chat_name, uuid);
+                if (value.parent_uuid) addToSetMap(cache.children, value.parent_uuid, uuid);
+            }
+        }
+    }
+}
+
+/**
+ * UUIDs of every committed branch below a branch.
+ * Uses the backend's own tree query when it has one, otherwise walks the cache.
+ * @param {Object} storage User storage instance
+ * @param {string} uuid Branch UUID
+ * @returns {Promise<string[]>} Descendant UUIDs
+ */
+async function getDescendantUuids(storage, uuid) {
+    if (storage.getDescendants) {
+        return storage.getDescendants(uuid);
+    }
+
+    const { children } = getBranchCache(storage);
+    const descendants = [];
+    const seen = new Set([uuid]);
+    for (let i = -1; i < descendants.length; i++) {
+        const parentUuid = i === -1 ? uuid : descendants[i];
+        for (const childUuid of children.get(parentUuid) || []) {
+            if (seen.has(childUuid)) continue;
+            seen.add(childUuid);
+            descendants.push(childUuid);
+        }
+    }
+    return descendants;
+}
+
+/**
+ * Find the children of a branch as seen by a transaction.
+ * Committed children come from the cache, uncommitted ones from the transaction's own writes.
+ * @param {Object} tx Storage transaction
+ * @param {string} uuid Parent branch UUID
+ * @returns {Promise<Object[]>} Child branches, oldest first
+ */
+async function findChildren(tx, uuid) {
+    const candidates = new Set(getBranchCache(tx.storage).children.get(uuid) || []);
+    for (const key of tx.pendingKeys()) {
+        if (key.startsWith('branch:')) candidates.add(key.slice('branch:'.length));
+    }
+
+    const children = [];
+    for (const childUuid of candidates) {
+        if (childUuid === uuid) continue;
+        const child = await tx.getItem(`branch:${childUuid}`);
+        if (child && child.parent_uuid === uuid) children.push(child);
+    }
+
+    // Sort by creation date
+    children.sort((a, b) => a.created_at - b.created_at);
+    return children;
+}
+
+/**
+ * Keep the persisted names:<characterId> indices in step with branch writes.
+ * Called at commit so every mutation path updates them in the same journal entry.
+ * @param {Object} tx Storage transaction
+ * @param {Object} storage User storage instance
+ * @returns {Promise<void>}
+ */
+async function syncNameIndices(tx, storage) {
+    for (const key of tx.pendingKeys()) {
+        if (!key.startsWith('branch:')) continue;
+
+        const uuid = key.slice('branch:'.length);
+        const before = await storage.getItem(key);
+        const after = await tx.getItem(key);
+
+        const beforeEntry = before?.character_id && before.chat_name ? [before.character_id, before.chat_name] : null;
+        const afterEntry = after?.character_id && after.chat_name ? [after.character_id, after.chat_name] : null;
+        if (JSON.stringify(beforeEntry) === JSON.stringify(afterEntry)) continue;
+
+        if (beforeEntry) {
+            const [characterId, chatName] = beforeEntry;
+            const names = await tx.getItem(`names:${characterId}`) || {};
+            names[chatName] = (names[chatName] || []).filter(id => id !== uuid);
+            if (names[chatName].length === 0) delete names[chatName];
+
+            if (Object.keys(names).length === 0) {
+                await tx.removeItem(`names:${characterId}`);
+            } else {
+                await tx.setItem(`names:${characterId}`, names);
+            }
+        }
+
+        if (afterEntry) {
+            const [characterId, chatName] = afterEntry;
+            const names = await tx.getItem(`names:${characterId}`) || {};
+            names[chatName] = [...new Set([...(names[chatName] || []), uuid])];
+            await tx.setItem(`names:${characterId}`, names);
+        }
+    }
+}
+
+/**
+ * Build names:<characterId> indices from the cache for characters that lack one,
+ * e.g. data written before the index existed
+ * @param {Object} storage User storage instance
+ * @returns {Promise<void>}
+ */
+async function ensureNameIndices(storage) {
+    const cache = getBranchCache(storage);
+    const byCharacter = new Map();
+    for (const branch of cache.branches.values()) {
+        if (!branch.character_id || !branch.chat_name) continue;
+        if (!byCharacter.has(branch.character_id)) byCharacter.set(branch.character_id, {});
+        const names = byCharacter.get(branch.character_id);
+        (names[branch.chat_name] = names[branch.chat_name] || []).push(branch.uuid);
+    }
+
+    const missing = [];
+    for (const characterId of byCharacter.keys()) {
+        if (!await storage.getItem(`names:${characterId}`)) missing.push(characterId);
+    }
+    if (missing.length === 0) return;
+
+    await runTransaction(storage, missing.map(id => `names:${id}`), async (tx) => {
+        for (const characterId of missing) {
+            await tx.setItem(`names:${characterId}`, byCharacter.get(characterId));
+        }
+    });
+    console.log(`[Chat Branches] Built chat_name indices for ${missing.length} characters`);
+}
+
+/**
+ * Add a UUID to an index array if not already present
+ * @param {Object} tx Storage transaction
+ * @param {string} key Index key (char:... or root:...)
+ * @param {string} uuid Branch UUID
+ */
+async function addToIndex(tx, key, uuid) {
+    const uuids = await tx.getItem(key) || [];
+    if (!uuids.includes(uuid)) {
+        uuids.push(uuid);
+        await tx.setItem(key, uuids);
+    }
+}
+
+/**
+ * Remove a UUID from an index array, removing the index once it is empty
+ * @param {Object} tx Storage transaction
+ * @param {string} key Index key (char:... or root:...)
+ * @param {string} uuid Branch UUID
+ */
+async function removeFromIndex(tx, key, uuid) {
+    const uuids = (await tx.getItem(key) || []).filter(id => id !== uuid);
+    if (uuids.length === 0) {
+        await tx.removeItem(key);
+    } else {
+        await tx.setItem(key, uuids);
+    }
+}
+
+/**
+ * Get the change event channel of a storage instance. The epoch is random per
+ * channel, so cursors handed out before a restart are never mistaken for current ones.
+ * @param {Object} storage User storage instance
+ * @returns {{epoch: string, seq: number, buffer: Object[], subscribers: Set<function>}} Event channel
+ */
+function getEventChannel(storage) {
+    if (!eventChannels.has(storage)) {
+        eventChannels.set(storage, { epoch: crypto.randomBytes(4).toString('hex'), seq: 0, buffer: [], subscribers: new Set() });
+    }
+    return eventChannels.get(storage);
+}
+
+/**
+ * Format an event ID (also used as the /events cursor)
+ * @param {Object} channel Event channel
+ * @param {number} seq Sequence number within the channel
+ * @returns {string} "<epoch>-<seq>"
+ */
+function formatEventId(channel, seq) {
+    return `${channel.epoch}-${seq}`;
+}
+
+/**
+ * Parse an /events cursor
+ * @param {Object} channel Event channel
+ * @param {string} cursor Last-Event-ID or ?cursor value
+ * @returns {number|null} Sequence number, or null if the cursor is malformed,
+ *          from another epoch or ahead of the channel
+ */
+function parseEventCursor(channel, cursor) {
+    const match = /^([0-9a-f]+)-(\d+)$/.exec(String(cursor));
+    if (!match || match[1] !== channel.epoch) return null;
+
+    const seq = Number(match[2]);
+    return Number.isSafeInteger(seq) && seq <= channel.seq ? seq : null;
+}
+
+/**
+ * Record a change event and deliver it to the user's subscribers
+ * @param {Object} storage User storage instance
+ * @param {Object} event Event without id/timestamp
+ */
+function publishEvent(storage, event) {
+    const channel = getEventChannel(storage);
+    const seq = ++channel.seq;
+    const stamped = { id: formatEventId(channel, seq), timestamp: Date.now(), ...event };
+
+    channel.buffer.push({ seq, event: stamped });
+    if (channel.buffer.length > EVENT_BUFFER_SIZE) {
+        channel.buffer.shift();
+    }
+
+    for (const send of channel.subscribers) {
+        try {
+            send(stamped);
+        } catch (error) {
+            console.error('[Chat Branches] Error sending event:', error);
+        }
+    }
+}
+
+/**
+ * Publish created/patched/deleted events for the branches a transaction changed
+ * @param {Object} storage User storage instance
+ * @param {{id: string, before: Object, after: Object}} entry Committed journal entry
+ */
+function publishBranchChanges(storage, entry) {
+    for (const [key, after] of Object.entries(entry.after)) {
+        if (!key.startsWith('branch:')) continue;
+
+        const before = entry.before[key];
+        const uuid = key.slice('branch:'.length);
+        const branch = after || before;
+        const event = {
+            uuid,
+            transaction: entry.id,
+            character_id: branch?.character_id ?? null,
+            root_uuid: branch?.root_uuid ?? null
+        };
+
+        if (!before && after) {
+            publishEvent(storage, { type: 'branch.created', ...event, branch: after });
+        } else if (before && !after) {
+            publishEvent(storage, { type: 'branch.deleted', ...event, branch: before });
+        } else if (before && after) {
+            const fields = [...new Set([...Object.keys(before), ...Object.keys(after)])]
+                .filter(field => JSON.stringify(before[field]) !== JSON.stringify(after[field]));
+            if (fields.length === 0) continue;
+
+            publishEvent(storage, {
+                type: 'branch.patched',
+                ...event,
+                changes: fields,
+                // Moves between characters or roots are visible to both sides
+                previous_character_id: before.character_id ?? null,
+                previous_root_uuid: before.root_uuid ?? null,
+                branch: after,
+                previous: before
+            });
+        }
+    }
+}
+
+/**
+ * Create an ID for a committed operation. IDs sort in commit order within a millisecond's precision.
+ * @returns {string} Operation ID
+ */
+function createOperationId() {
+    return `${Date.now()}-${Math.random().toString(36).slice(2, 10)}`;
+}
+
+/**
+ * Summarize what an operation did to each branch
+ * @param {{before: Object, after: Object}} entry Committed journal entry
+ * @returns {{uuid: string, change: string, fields?: string[]}[]} created, deleted or patched per branch
+ */
+function getBranchChanges(entry) {
+    const changes = [];
+    for (const [key, after] of Object.entries(entry.after)) {
+        if (!key.startsWith('branch:')) continue;
+
+        const before = entry.before[key];
+        const uuid = key.slice('branch:'.length);
+        if (!before && after) {
+            changes.push({ uuid, change: 'created' });
+        } else if (before && !after) {
+            changes.push({ uuid, change: 'deleted' });
+        } else if (before && after) {
+            const fields = [...new Set([...Object.keys(before), ...Object.keys(after)])]
+                .filter(field => JSON.stringify(before[field]) !== JSON.stringify(after[field]));
+            if (fields.length > 0) changes.push({ uuid, change: 'patched', fields });
+        }
+    }
+    return changes;
+}
+
+/**
+ * Append a committed transaction to its user's history.
+ * The request being handled (if any) is taken from operationContext; anything else,
+ * like the trash purge or scheduled pruning, is logged as a system operation.
+ * Records are logged with their before and after values, index arrays (char:, root:,
+ * trash) only with the UUIDs added to and removed from them.
+ * A failed append is logged but never fails the already committed transaction.
+ * @param {Object} storage User storage instance
+ * @param {{id: string, created_at: number, before: Object, after: Object}} entry Committed journal entry
+ * @param {Object} [extra] Extra fields for the history entry
+ * @returns {Promise<void>}
+ */
+async function recordHistory(storage, entry, extra = {}) {
+    const handle = storageHandles.get(storage);
+    if (!handle) return;
+
+    const context = operationContext.getStore();
+    const characters = new Set();
+    const roots = new Set();
+    const before = {};
+    const after = {};
+    const indices = {};
+
+    for (const key of Object.keys(entry.after)) {
+        // names: indices are derived from the branch records and prints: from the chat files
+        if (key.startsWith('names:') || key.startsWith('prints:')) continue;
+
+        if (isHistoryIndexKey(key)) {
+            const previous = new Set(entry.before[key] || []);
+            const next = new Set(entry.after[key] || []);
+            const added = [...next].filter(uuid => !previous.has(uuid));
+            const removed = [...previous].filter(uuid => !next.has(uuid));
+            // Rewrites that only reorder or dedupe an index change nothing worth undoing
+            if (added.length === 0 && removed.length === 0) continue;
+            indices[key] = { added, removed };
+        } else {
+            before[key] = entry.before[key];
+            after[key] = entry.after[key];
+        }
+
+        if (key.startsWith('char:')) characters.add(key.slice('char:'.length));
+        if (key.startsWith('root:')) roots.add(key.slice('root:'.length));
+        if (key.startsWith('branch:')) {
+            for (const branch of [entry.before[key], entry.after[key]]) {
+                if (branch?.character_id) characters.add(branch.character_id);
+                if (branch?.root_uuid) roots.add(branch.root_uuid);
+            }
+        }
+    }
+
+    // Transactions that only rebuilt names: indices have nothing worth logging
+    if (Object.keys(after).length === 0 && Object.keys(indices).length === 0 && Object.keys(extra).length === 0) return;
+
+    const changes = getBranchChanges(entry);
+    try {
+        await appendHistory(handle, {
+            id: entry.id,
+            at: entry.created_at,
+            source: context ? 'request' : 'system',
+            user: context?.user ?? null,
+            method: context?.method ?? null,
+            path: context?.path ?? null,
+            ...(context?.undo_of ? { undo_of: context.undo_of } : {}),
+            ...extra,
+            changes,
+            branches: changes.map(change => change.uuid),
+            characters: [...characters],
+            roots: [...roots],
+            before,
+            after,
+            indices
+        }, { maxBytes: config.historyMaxSizeMB * 1024 * 1024 });
+    } catch (error) {
+        console.error('[Chat Branches] Error recording history:', error);
+    }
+}
+
+/**
+ * Check whether a key holds an index array, logged in the history as added and removed UUIDs
+ * @param {string} key Storage key
+ * @returns {boolean} True for trash, char: and root: keys
+ */
+function isHistoryIndexKey(key) {
+    return key === 'trash' || key.startsWith('char:') || key.startsWith('root:');
+}
+
+/**
+ * Find the newest history entries matching a filter
+ * @param {string} handle Sanitized user handle
+ * @param {{characterId?: string, uuid?: string, before?: string, limit: number}} filter
+ *        Character or branch involved, and an operation ID to page back from
+ * @returns {Promise<{operations: Object[], hasMore: boolean}>} Entries, newest first
+ */
+async function queryHistory(handle, { characterId, uuid, before, limit }) {
+    // Only the last limit + 1 matches are kept, so memory stays bounded on long histories
+    const matches = [];
+    await forEachHistoryEntry(handle, (entry) => {
+        if (before && entry.id === before) return false;
+        if (characterId && !entry.characters?.includes(characterId)) return;
+        if (uuid && !entry.branches?.includes(uuid)) return;
+
+        matches.push(entry);
+        if (matches.length > limit + 1) matches.shift();
+    });
+
+    const hasMore = matches.length > limit;
+    return { operations: matches.slice(hasMore ? 1 : 0).reverse(), hasMore };
+}
+
+/**
+ * Revert an operation from the history in a new transaction.
+ * Records (branch:, trash:<uuid>) must still hold what the operation wrote and are put
+ * back as they were. Index arrays (char:, root:, trash) may have changed since, so only
+ * the UUIDs the operation added or removed are reverted.
+ * @param {Object} storage User storage instance
+ * @param {string} handle Sanitized user handle, for the history
+ * @param {Object} operation History entry
+ * @returns {Promise<string[]>} UUIDs of the reverted branches
+ * @throws {ApiError} ALREADY_UNDONE, UNDO_CONFLICT if later changes make the undo unsafe,
+ *         CYCLE_DETECTED if it would loop a tree
+ */
+async function undoOperation(storage, handle, operation) {
+    const recordKeys = Object.keys(operation.after);
+    const indexKeys = Object.keys(operation.indices);
+
+    return runTransaction(storage, [...recordKeys, ...indexKeys], async (tx) => {
+        // Checked under the locks: a concurrent undo of the same operation commits
+        // (and is logged) before this one gets them
+        const undo = await findHistoryEntry(handle, entry => entry.undo_of === operation.id);
+        if (undo) {
+            throw new ApiError(409, 'ALREADY_UNDONE', 'Operation was already undone', { undone_by: undo.id });
+        }
+
+        const conflicts = [];
+        for (const key of recordKeys) {
+            const current = await tx.getItem(key) ?? null;
+            if (JSON.stringify(current) !== JSON.stringify(operation.after[key])) conflicts.push(key);
+        }
+        if (conflicts.length > 0) {
+            throw new ApiError(409, 'UNDO_CONFLICT', 'Records were changed by a later operation', { conflicts });
+        }
+
+        // Removing a branch that has gained children since would orphan them
+        const removed = new Set(recordKeys
+            .filter(key => key.startsWith('branch:') && operation.before[key] === null)
+            .map(key => key.slice('branch:'.length)));
+        for (const uuid of removed) {
+            const children = (await findChildren(tx, uuid)).filter(child => !removed.has(child.uuid));
+            if (children.length > 0) {
+                throw new ApiError(409, 'UNDO_CONFLICT', 'Branch has children added by a later operation', {
+                    conflicts: children.map(child => `branch:${child.uuid}`)
+                });
+            }
+        }
+
+        for (const key of recordKeys) {
+            const value = operation.before[key];
+            if (value === null) {
+                await tx.removeItem(key);
+            } else {
+                await tx.setItem(key, value);
+            }
+        }
+
+        for (const key of indexKeys) {
+            const { added, removed } = operation.indices[key];
+            const current = (await tx.getItem(key) || []).filter(uuid => !added.includes(uuid));
+            for (const uuid of removed) {
+                if (!current.includes(uuid)) current.push(uuid);
+            }
+
+            if (current.length === 0) {
+                await tx.removeItem(key);
+            } else {
+                await tx.setItem(key, current);
+            }
+        }
+
+        for (const key of recordKeys) {
+            const branch = key.startsWith('branch:') ? operation.before[key] : null;
+            if (!branch) continue;
+
+            // A restored branch needs its parent and tree, which later operations may have deleted
+            if (branch.parent_uuid && !await tx.getItem(`branch:${branch.parent_uuid}`)) {
+                throw new ApiError(409, 'UNDO_CONFLICT', 'Parent of a restored branch no longer exists', {
+                    conflicts: [`branch:${branch.parent_uuid}`]
+                });
+            }
+            if (branch.root_uuid && branch.root_uuid !== branch.uuid && !await tx.getItem(`branch:${branch.root_uuid}`)) {
+                throw new ApiError(409, 'UNDO_CONFLICT', 'Root of a restored branch no longer exists', {
+                    conflicts: [`branch:${branch.root_uuid}`]
+                });
+            }
+
+            // Restored parents may have been moved under the branch since
+            if (branch.parent_uuid && await wouldCreateCycle(tx, branch.uuid, branch.parent_uuid)) {
+                throw new ApiError(409, 'CYCLE_DETECTED', 'Undoing would make a branch its own ancestor', { uuid: branch.uuid });
+            }
+        }
+
+        return recordKeys
+            .filter(key => key.startsWith('branch:'))
+            .map(key => key.slice('branch:'.length));
+    });
+}
+
+/**
+ * Check whether an event passes a subscriber's filters.
+ * Reset events always pass; character purges ignore the root filter.
+ * @param {Object} event Change event
+ * @param {string} [characterId] Character filter
+ * @param {string} [rootUuid] Root filter
+ * @returns {boolean} True if the subscriber should receive the event
+ */
+function eventMatches(event, characterId, rootUuid) {
+    if (event.type === 'reset') return true;
+
+    if (characterId && event.character_id !== characterId && event.previous_character_id !== characterId) {
+        return false;
+    }
+    if (rootUuid && event.type !== 'character.purged'
+        && event.root_uuid !== rootUuid && event.previous_root_uuid !== rootUuid) {
+        return false;
+    }
+    return true;
+}
+
+/**
+ * Load plugin options from config.json, falling back to defaults
+ * @returns {Promise<Object>} Plugin config
+ */
+async function loadConfig() {
+    try {
+        const userConfig = JSON.parse(await fs.readFile(CONFIG_PATH, 'utf8'));
+        return { ...DEFAULT_CONFIG, ...userConfig };
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            console.warn('[Chat Branches] Failed to read config.json, using defaults:', error.message);
+        }
+        return { ...DEFAULT_CONFIG };
+    }
+}
+
+/**
+ * Read the header of a JSONL chat file
+ * @param {string} filePath Path to the chat file
+ * @returns {Promise<Object|null>} Parsed header, or null if the file is unreadable or empty
+ */
+async function readChatHeader(filePath) {
+    let input;
+    try {
+        input = createReadStream(filePath, { encoding: 'utf8' });
+        const lines = readline.createInterface({ input, crlfDelay: Infinity });
+        try {
+            for await (const line of lines) {
+                if (line.trim()) return JSON.parse(line);
+            }
+        } finally {
+            lines.close();
+        }
+        return null;
+    } catch {
+        return null;
+    } finally {
+        input?.destroy();
+    }
+}
+
+/**
+ * Index of a branch's first own message, right after its branch_point
+ * @param {*} branchPoint branch_point of the branch
+ * @returns {number|null} Message index, or null if the branch has no branch point
+ */
+function getOwnMessageStart(branchPoint) {
+    const point = Number(branchPoint);
+    return branchPoint !== null && branchPoint !== undefined && Number.isInteger(point) && point >= 0 ? point + 1 : null;
+}
+
+/**
+ * Fingerprint the stable content of a branch's chat: the header without its volatile
+ * fields, the first messages of the chat and the first messages after the branch's
+ * branch_point. Branches of one chat share the start but not their own messages, and
+ * messages added later don't change it, so a chat is recognized after more chatting
+ * and a rename. Until a chat has that many messages, the counts say what was covered.
+ * @param {string} filePath Path to the chat file
+ * @param {*} branchPoint branch_point of the branch the chat is checked for
+ * @param {{prefix: number, own: number}} [counts] Messages to hash from the start and after
+ *        the branch point; a stored fingerprint's own counts to compare a file against it
+ * @returns {Promise<{hash: string, prefix: number, own: number}|null>} Fingerprint and the
+ *          message counts it covers, or null if the file is unreadable or empty
+ */
+async function readChatFingerprint(filePath, branchPoint, counts = { prefix: FINGERPRINT_PREFIX_MESSAGES, own: FINGERPRINT_OWN_MESSAGES }) {
+    const ownStart = getOwnMessageStart(branchPoint);
+    const end = Math.max(counts.prefix, ownStart === null ? 0 : ownStart + counts.own);
+    const pick = (value, fields) => value && typeof value === 'object'
+        ? Object.fromEntries(fields.filter(field => field in value).map(field => [field, value[field]]))
+        : value;
+
+    let header;
+    const prefix = [];
+    const own = [];
+    let input;
+    try {
+        input = createReadStream(filePath, { encoding: 'utf8' });
+        const lines = readline.createInterface({ input, crlfDelay: Infinity });
+        try {
+            // -1 is the header line
+            let index = -1;
+            for await (const line of lines) {
+                if (!line.trim()) continue;
+
+                let parsed;
+                try {
+                    parsed = JSON.parse(line);
+                } catch {
+                    parsed = line;
+                }
+
+                if (index === -1) {
+                    header = pick(parsed, FINGERPRINT_HEADER_FIELDS);
+                } else {
+                    if (index < counts.prefix) prefix.push(pick(parsed, FINGERPRINT_MESSAGE_FIELDS));
+                    if (ownStart !== null && index >= ownStart && index < ownStart + counts.own) own.push(pick(parsed, FINGERPRINT_MESSAGE_FIELDS));
+                }
+                if (++index >= end) break;
+            }
+        } finally {
+            lines.close();
+        }
+    } catch {
+        return null;
+    } finally {
+        input?.destroy();
+    }
+
+    if (header === undefined) return null;
+    const hash = crypto.createHash('sha1').update(JSON.stringify([header, prefix, own])).digest('hex');
+    return { hash, prefix: prefix.length, own: own.length };
+}
+
+/**
+ * Check whether a stored value is a fingerprint from readChatFingerprint
+ * @param {*} print Stored value
+ * @returns {boolean} True if it can be compared
+ */
+function isChatFingerprint(print) {
+    return !!print && typeof print === 'object' && typeof print.hash === 'string'
+        && Number.isInteger(print.prefix) && Number.isInteger(print.own);
+}
+
+/**
+ * Compare two chat fingerprints
+ * @param {Object} a Fingerprint
+ * @param {Object} b Fingerprint
+ * @returns {boolean} True if they cover the same messages with the same content
+ */
+function isSameFingerprint(a, b) {
+    return isChatFingerprint(a) && isChatFingerprint(b) && a.hash === b.hash && a.prefix === b.prefix && a.own === b.own;
+}
+
+/**
+ * Check whether a path is an existing directory
+ * @param {string} dirPath Path to check
+ * @returns {Promise<boolean>} True if it is a directory
+ */
+async function directoryExists(dirPath) {
+    try {
+        return (await fs.stat(dirPath)).isDirectory();
+    } catch (error) {
+        if (error.code === 'ENOENT' || error.code === 'ENOTDIR') return false;
+        throw error;
+    }
+}
+
+/**
+ * List the chat files in a character's chat directory
+ * @param {string} characterDir Path to chats/<character>
+ * @returns {Promise<Map<string, Object>>} Chat info by clean chat name
+ */
+async function scanCharacterChats(characterDir) {
+    const chats = new Map();
+
+    let entries;
+    try {
+        entries = await fs.readdir(characterDir, { withFileTypes: true });
+    } catch (error) {
+        if (error.code === 'ENOENT') return chats;
+        throw error;
+    }
+
+    for (const entry of entries) {
+        if (!entry.isFile() || !/\.jsonl$/i.test(entry.name)) continue;
+
+        const chatName = entry.name.replace(/\.jsonl$/i, '');
+        const header = await readChatHeader(path.join(characterDir, entry.name));
+        const metadata = header?.chat_metadata || {};
+
+        chats.set(chatName, {
+            chat_name: chatName,
+            uuid: metadata[CHAT_METADATA_UUID_FIELD] || null
+        });
+    }
+
+    return chats;
+}
+
+/**
+ * Compare a character's branch records with the chat files on disk.
+ * A chat missing under its stored name is looked for by the branch UUID in chat
+ * metadata, then by the fingerprint recorded by an earlier sync while the name still matched.
+ * @param {Object} storage User storage instance
+ * @param {string} characterId Character ID
+ * @param {string} characterDir Path to chats/<character>
+ * @returns {Promise<Object>} Diff of missing, restored, relinked and untracked chats,
+ *          plus the new fingerprints of tracked chats
+ */
+async function computeChatSync(storage, characterId, characterDir) {
+    const chats = await scanCharacterChats(characterDir);
+    const branchUuids = [...new Set(await storage.getItem(`char:${characterId}`) || [])];
+
+    const branches = [];
+    for (const uuid of branchUuids) {
+        const branch = await storage.getItem(`branch:${uuid}`);
+        if (branch) branches.push(branch);
+    }
+    const fingerprints = await storage.getItem(`prints:${characterId}`) || {};
+
+    // Chat files claimed by a branch, either by name or by metadata UUID
+    const claimed = new Set();
+    const chatsByUuid = new Map();
+    for (const chat of chats.values()) {
+        if (chat.uuid) chatsByUuid.set(chat.uuid, chat);
+    }
+
+    const diff = {
+        character_id: characterId,
+        tracked: 0,
+        missing: [],
+        restored: [],
+        relinked: [],
+        untracked: [],
+        fingerprints: {}
+    };
+
+    // First pass: branches whose chat file still exists under the stored name
+    const unmatched = [];
+    for (const branch of branches) {
+        if (branch.chat_name && chats.has(branch.chat_name)) {
+            claimed.add(branch.chat_name);
+            diff.tracked++;
+            if (branch.missing_file) {
+                diff.restored.push({ uuid: branch.uuid, chat_name: branch.chat_name });
+            }
+
+            // A fingerprint covering every message it hashes can't change any more
+            const stored = fingerprints[branch.uuid];
+            const ownStart = getOwnMessageStart(branch.branch_point);
+            const complete = isChatFingerprint(stored) && stored.prefix === FINGERPRINT_PREFIX_MESSAGES
+                && stored.own === (ownStart === null ? 0 : FINGERPRINT_OWN_MESSAGES);
+            if (!complete) {
+                const print = await readChatFingerprint(path.join(characterDir, `${branch.chat_name}.jsonl`), branch.branch_point);
+                // Without any of its own messages a branch's chat is indistinguishable from its parent's
+                if (print && (ownStart === null || print.own > 0) && !isSameFingerprint(print, stored)) {
+                    diff.fingerprints[branch.uuid] = print;
+                }
+            }
+        } else {
+            unmatched.push(branch);
+        }
+    }
+
+    // Second pass: look for the rest by the branch UUID in their chat metadata
+    const unresolved = [];
+    for (const branch of unmatched) {
+        const renamed = chatsByUuid.get(branch.uuid);
+        if (renamed && !claimed.has(renamed.chat_name)) {
+            claimed.add(renamed.chat_name);
+            diff.relinked.push({ uuid: branch.uuid, from: branch.chat_name, to: renamed.chat_name, matched_by: 'uuid' });
+        } else {
+            unresolved.push(branch);
+        }
+    }
+
+    // Third pass: by fingerprint, taken of each unclaimed chat over the messages the stored
+    // one covers. A chat matching several branches, or a branch matching several chats
+    // (e.g. copies of the same chat), is reported with its candidates instead
+    const unclaimed = [...chats.values()].filter(chat => !claimed.has(chat.chat_name));
+    const candidatesByBranch = new Map();
+    const matchesByChat = new Map();
+    for (const branch of unresolved) {
+        const stored = fingerprints[branch.uuid];
+        const candidates = [];
+        if (isChatFingerprint(stored)) {
+            for (const chat of unclaimed) {
+                const print = await readChatFingerprint(path.join(characterDir, `${chat.chat_name}.jsonl`), branch.branch_point, stored);
+                if (!isSameFingerprint(print, stored)) continue;
+                candidates.push(chat);
+                matchesByChat.set(chat.chat_name, (matchesByChat.get(chat.chat_name) || 0) + 1);
+            }
+        }
+        candidatesByBranch.set(branch.uuid, candidates);
+    }
+
+    for (const branch of unresolved) {
+        const candidates = candidatesByBranch.get(branch.uuid);
+
+        if (candidates.length === 1 && matchesByChat.get(candidates[0].chat_name) === 1) {
+            claimed.add(candidates[0].chat_name);
+            diff.relinked.push({ uuid: branch.uuid, from: branch.chat_name, to: candidates[0].chat_name, matched_by: 'fingerprint' });
+        } else {
+            diff.missing.push({
+                uuid: branch.uuid,
+                chat_name: branch.chat_name,
+                flagged: !!branch.missing_file,
+                ...(candidates.length > 0 ? { candidates: candidates.map(chat => chat.chat_name) } : {})
+            });
+        }
+    }
+
+    for (const chat of chats.values()) {
+        if (!claimed.has(chat.chat_name)) {
+            diff.untracked.push(chat);
+        }
+    }
+
+    return diff;
+}
+
+/**
+ * Write a sync diff: re-link renamed chats, flag or unflag missing files and
+ * record chat fingerprints. Untracked chats are only reported; renames and
+ * newly missing chats are added to the user's rename reports.
+ * @param {Object} storage User storage instance
+ * @param {Object} diff Diff from computeChatSync
+ * @returns {Promise<void>}
+ */
+async function applyChatSync(storage, diff) {
+    const updates = new Map();
+    for (const { uuid, to } of diff.relinked) {
+        updates.set(uuid, branch => { branch.chat_name = to; delete branch.missing_file; });
+    }
+    for (const { uuid } of diff.restored) {
+        updates.set(uuid, branch => { delete branch.missing_file; });
+    }
+    for (const { uuid, flagged } of diff.missing) {
+        if (!flagged) updates.set(uuid, branch => { branch.missing_file = true; });
+    }
+
+    const fingerprintsKey = `prints:${diff.character_id}`;
+    const hasFingerprints = Object.keys(diff.fingerprints || {}).length > 0;
+    if (updates.size === 0 && !hasFingerprints) return;
+
+    const keys = [...updates.keys()].map(uuid => `branch:${uuid}`);
+    await runTransaction(storage, [...keys, fingerprintsKey], async (tx) => {
+        for (const [uuid, update] of updates) {
+            const branch = await tx.getItem(`branch:${uuid}`);
+            if (!branch) continue;
+            update(branch);
+            await tx.setItem(`branch:${uuid}`, branch);
+        }
+
+        if (hasFingerprints) {
+            const fingerprints = { ...await tx.getItem(fingerprintsKey), ...diff.fingerprints };
+            // Drop the fingerprints of branches that are gone or moved to another character
+            const cache = getBranchCache(storage);
+            for (const uuid of Object.keys(fingerprints)) {
+                if (cache.branches.get(uuid)?.character_id !== diff.character_id) delete fingerprints[uuid];
+            }
+            await tx.setItem(fingerprintsKey, fingerprints);
+        }
+    });
+
+    if (updates.size > 0) {
+        console.log(`[Chat Branches] Sync applied for ${diff.character_id}: ${diff.relinked.length} relinked, ${diff.missing.length} missing`);
+    }
+    recordRenameReport(storage, diff);
+}
+
+/**
+ * Add the renames of an applied sync, and the chats it newly found missing, to the user's reports
+ * @param {Object} storage User storage instance
+ * @param {Object} diff Applied diff from computeChatSync
+ */
+function recordRenameReport(storage, diff) {
+    const unresolved = diff.missing.filter(entry => !entry.flagged);
+    if (diff.relinked.length === 0 && unresolved.length === 0) return;
+
+    if (!renameReports.has(storage)) {
+        renameReports.set(storage, []);
+    }
+    const reports = renameReports.get(storage);
+    reports.push({ at: Date.now(), character_id: diff.character_id, relinked: diff.relinked, unresolved });
+    if (reports.length > RENAME_REPORT_SIZE) {
+        reports.splice(0, reports.length - RENAME_REPORT_SIZE);
+    }
+
+    for (const { uuid, from, to, matched_by } of diff.relinked) {
+        console.log(`[Chat Branches] Re-linked branch ${uuid} from chat "${from}" to renamed chat "${to}" (by ${matched_by})`);
+    }
+}
+
+/**
+ * Look for a branch's chat under a new name after its file went missing. Nothing is
+ * written, so reads stay reads: the branch is re-linked by /sync or syncOnStartup.
+ * @param {Object} storage User storage instance
+ * @param {Object} branch Branch whose chat file is missing
+ * @param {string} characterDir Path to chats/<character>
+ * @returns {Promise<string|null>} Current chat name, or null if the chat wasn't found
+ */
+async function findRenamedChat(storage, branch, characterDir) {
+    // A wrong folder (e.g. a character ID that isn't the folder name) would make every chat look gone
+    if (!await directoryExists(characterDir)) {
+        return null;
+    }
+
+    const diff = await computeChatSync(storage, branch.character_id, characterDir);
+    return diff.relinked.find(entry => entry.uuid === branch.uuid)?.to ?? null;
+}
+
+/**
+ * Reconcile every character of every user against their chat files.
+ * Needs SillyTavern's data root to locate user chat directories.
+ * @returns {Promise<void>}
+ */
+async function syncAllOnStartup() {
+    if (!globalThis.DATA_ROOT) {
+        console.warn('[Chat Branches] Data root unknown, skipping startup sync');
+        return;
+    }
+
+    for (const [handle, ready] of userStorages) {
+        const storage = await ready;
+        const chatsDir = path.join(globalThis.DATA_ROOT, handle, 'chats');
+        const keys = await storage.keys();
+
+        for (const key of keys.filter(k => k.startsWith('char:'))) {
+            const characterId = key.slice('char:'.length);
+            // Without a request we only know the character ID, which doubles as the folder name
+            let characterDir;
+            try {
+                characterDir = resolveInside(chatsDir, characterId);
+            } catch {
+                console.warn('[Chat Branches] Skipping startup sync for invalid character ID:', characterId);
+                continue;
+            }
+            // The chats folder may be named after the character rather than its ID;
+            // syncing against a folder that isn't there would flag every branch missing
+            if (!await directoryExists(characterDir)) {
+                console.warn(`[Chat Branches] Skipping startup sync for ${characterId}: no chats folder of that name (user: ${handle})`);
+                continue;
+            }
+            const diff = await computeChatSync(storage, characterId, characterDir);
+            await applyChatSync(storage, diff);
+        }
+    }
+}
+
+/**
+ * Search chat message text through the user's search index
+ * @param {Object} storage User storage instance
+ * @param {string} handle User handle
+ * @param {string} chatsDir User chats directory
+ * @param {string[]} tokens Query words, all of which must be in a message
+ * @param {{characterId: string|null, folder: string|null, limit: number}} options
+ *        One character and its chats folder, or null for every folder
+ * @returns {Promise<{results: Object[], total: number}>} First hits and the total hit count
+ */
+async function searchChats(storage, handle, chatsDir, tokens, { characterId, folder, limit }) {
+    let folders = folder ? [folder] : [];
+    if (!folder) {
+        try {
+            const entries = await fs.readdir(chatsDir, { withFileTypes: true });
+            folders = entries.filter(entry => entry.isDirectory()).map(entry => entry.name);
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+        }
+    }
+
+    const index = await getSearchIndex(handle);
+    const keys = await refreshSearchIndex(index, chatsDir, folders, CHAT_METADATA_UUID_FIELD);
+    const cache = getBranchCache(storage);
+
+    // Only chats that belong to a branch are searched
+    const hits = [];
+    for (const match of querySearchIndex(index, keys, tokens)) {
+        const branch = findChatFileBranch(cache, match.key, match.file.uuid);
+        if (!branch || (characterId && branch.character_id !== characterId)) continue;
+
+        for (const messageIndex of match.messages) {
+            hits.push({ key: match.key, branch, messageIndex });
+        }
+    }
+
+    hits.sort((a, b) => (a.branch.created_at - b.branch.created_at) || a.branch.uuid.localeCompare(b.branch.uuid) || (a.messageIndex - b.messageIndex));
+
+    // Chat files are read again only for the hits that are returned, to cut snippets
+    const results = [];
+    const messagesByKey = new Map();
+    for (const hit of hits.slice(0, limit)) {
+        if (!messagesByKey.has(hit.key)) {
+            const [, ...messages] = await readChatFile(path.join(chatsDir, ...hit.key.split('/')));
+            messagesByKey.set(hit.key, messages);
+        }
+        const message = messagesByKey.get(hit.key)[hit.messageIndex];
+
+        results.push({
+            uuid: hit.branch.uuid,
+            character_id: hit.branch.character_id,
+            chat_name: hit.branch.chat_name,
+            message_index: hit.messageIndex,
+            name: message?.name ?? null,
+            is_user: !!message?.is_user,
+            snippet: getSnippet(message?.mes, tokens),
+            path: getBranchPath(cache, hit.branch)
+        });
+    }
+
+    return { results, total: hits.length };
+}
+
+/**
+ * Shape statistics for a set of branches. Depth counts hops from the set's roots
+ * (branches whose parent isn't in the set), so a root has depth 0.
+ * @param {Object[]} branches Branch records
+ * @param {'day'|'week'|'month'} bucket Period for creation activity
+ * @returns {Object} Counts, depth, branching factor, busiest branch points and activity
+ */
+function computeTreeStats(branches, bucket) {
+    const byUuid = new Map(branches.map(branch => [branch.uuid, branch]));
+    const childCounts = new Map();
+    const branchPoints = new Map();
+
+    for (const branch of branches) {
+        if (!branch.parent_uuid || !byUuid.has(branch.parent_uuid)) continue;
+        childCounts.set(branch.parent_uuid, (childCounts.get(branch.parent_uuid) || 0) + 1);
+
+        const key = `${branch.parent_uuid}\u0000${branch.branch_point ?? ''}`;
+        const point = branchPoints.get(key) || { parent_uuid: branch.parent_uuid, branch_point: branch.branch_point ?? null, branch_count: 0 };
+        point.branch_count++;
+        branchPoints.set(key, point);
+    }
+
+    // Depth by walking up to the first memoized ancestor; a cycle counts from where it closes
+    const depths = new Map();
+    for (const branch of branches) {
+        const chain = [];
+        const onChain = new Set();
+        let current = branch;
+        while (current && !depths.has(current.uuid) && !onChain.has(current.uuid)) {
+            chain.push(current);
+            onChain.add(current.uuid);
+            current = current.parent_uuid ? byUuid.get(current.parent_uuid) : null;
+        }
+
+        let depth = current && depths.has(current.uuid) ? depths.get(current.uuid) : -1;
+        for (let i = chain.length - 1; i >= 0; i--) {
+            depths.set(chain[i].uuid, ++depth);
+        }
+    }
+
+    const depthValues = [...depths.values()];
+    const innerCounts = [...childCounts.values()];
+    const sum = values => values.reduce((total, value) => total + value, 0);
+
+    return {
+        branch_count: branches.length,
+        root_count: branches.filter(b => !b.parent_uuid || !byUuid.has(b.parent_uuid)).length,
+        leaf_count: branches.filter(b => !childCounts.has(b.uuid)).length,
+        max_depth: depthValues.reduce((max, depth) => Math.max(max, depth), 0),
+        average_depth: depthValues.length > 0 ? sum(depthValues) / depthValues.length : 0,
+        // Children per branch that has any
+        branching_factor: innerCounts.length > 0 ? sum(innerCounts) / innerCounts.length : 0,
+        max_children: innerCounts.reduce((max, count) => Math.max(max, count), 0),
+        busiest_branch_points: [...branchPoints.values()]
+            .filter(point => point.branch_count > 1)
+            .sort((a, b) => b.branch_count - a.branch_count)
+            .slice(0, ANALYTICS_TOP_BRANCH_POINTS),
+        activity: getCreationActivity(branches, bucket)
+    };
+}
+
+/**
+ * Count branch creations per day, week (starting Monday) or month, in UTC
+ * @param {Object[]} branches Branch records
+ * @param {'day'|'week'|'month'} bucket Period length
+ * @returns {{period: string, count: number}[]} Counts by period start, oldest first
+ */
+function getCreationActivity(branches, bucket) {
+    const counts = new Map();
+
+    for (const branch of branches) {
+        const date = new Date(Number(branch.created_at));
+        if (Number.isNaN(date.getTime())) continue;
+
+        if (bucket === 'week') {
+            date.setUTCDate(date.getUTCDate() - ((date.getUTCDay() + 6) % 7));
+        }
+        const period = bucket === 'month' ? date.toISOString().slice(0, 7) : date.toISOString().slice(0, 10);
+        counts.set(period, (counts.get(period) || 0) + 1);
+    }
+
+    return [...counts]
+        .map(([period, count]) => ({ period, count }))
+        .sort((a, b) => a.period.localeCompare(b.period));
+}
+
+/**
+ * Message counts of branches, taken from the search index so unchanged chat files aren't read again
+ * @param {Object} storage User storage instance
+ * @param {string} handle User handle
+ * @param {string} chatsDir User chats directory
+ * @param {string} folder Character folder holding the chats
+ * @param {Object[]} branches Branch records
+ * @returns {Promise<Object>} Total, average and per-branch counts (null where no chat file was found)
+ */
+async function countBranchMessages(storage, handle, chatsDir, folder, branches) {
+    const counts = await getChatMessageCounts(storage, handle, chatsDir, folder);
+
+    const perBranch = branches.map(branch => ({
+        uuid: branch.uuid,
+        chat_name: branch.chat_name,
+        message_count: getBranchMessageCount(counts, branch)
+    }));
+    const found = perBranch.filter(entry => entry.message_count !== null);
+    const total = found.reduce((sum, entry) => sum + entry.message_count, 0);
+
+    return {
+        total,
+        average: found.length > 0 ? total / found.length : 0,
+        missing_files: perBranch.length - found.length,
+        branches: perBranch.sort((a, b) => (b.message_count ?? -1) - (a.message_count ?? -1))
+    };
+}
+
+/**
+ * Message counts of the chat files in a character folder. Files are matched to
+ * branches by name; the UUID in a file's header only counts for files no branch
+ * claims by name, because branch chats start as copies of their parent, header included.
+ * @param {Object} storage User storage instance
+ * @param {string} handle User handle
+ * @param {string} chatsDir User chats directory
+ * @param {string} folder Character folder holding the chats
+ * @returns {Promise<{byName: Map<string, number>, byUuid: Map<string, number>}>}
+ *          Message count by chat name, and by header UUID for unclaimed files (see getBranchMessageCount)
+ */
+async function getChatMessageCounts(storage, handle, chatsDir, folder) {
+    // Refuse folders outside the chats directory before the index reads them
+    resolveInside(chatsDir, folder);
+
+    const index = await getSearchIndex(handle);
+    const keys = await refreshSearchIndex(index, chatsDir, [folder], CHAT_METADATA_UUID_FIELD);
+    const cache = getBranchCache(storage);
+
+    const byName = new Map();
+    const byUuid = new Map();
+    for (const key of keys) {
+        const { uuid, count } = index.files[key];
+        const chatName = key.slice(key.indexOf('/') + 1).replace(/\.jsonl$/i, '');
+        byName.set(chatName, count);
+        if (uuid && !cache.byChatName.get(chatName)?.size) {
+            byUuid.set(uuid, count);
+        }
+    }
+    return { byName, byUuid };
+}
+
+/**
+ * Look up a branch's message count in the result of getChatMessageCounts.
+ * A file named after the branch always wins, so a branch is never missing while it exists.
+ * @param {{byName: Map<string, number>, byUuid: Map<string, number>}} counts Folder counts
+ * @param {Object} branch Branch record
+ * @returns {number|null} Message count, or null if no chat file was found
+ */
+function getBranchMessageCount(counts, branch) {
+    if (branch.chat_name && counts.byName.has(branch.chat_name)) {
+        return counts.byName.get(branch.chat_name);
+    }
+    return counts.byUuid.get(branch.uuid) ?? null;
+}
+
+/**
+ * Find the branch a chat file belongs to: its chat name, or else the UUID in its header
+ * when no branch has that name (branch chats carry a copy of their parent's header)
+ * @param {Object} cache Branch cache
+ * @param {string} key Search index key ("<folder>/<file>")
+ * @param {string|null} headerUuid Branch UUID from the chat header
+ * @returns {Object|null} Branch record
+ */
+function findChatFileBranch(cache, key, headerUuid) {
+    const [folder, fileName] = key.split('/');
+    const chatName = fileName.replace(/\.jsonl$/i, '');
+    const candidates = [...cache.byChatName.get(chatName) || []].map(uuid => cache.branches.get(uuid));
+    const sameFolder = candidates.filter(branch => branch.character_id === folder);
+
+    if (sameFolder.length === 1) return sameFolder[0];
+    if (candidates.length === 1) return candidates[0];
+    if (candidates.length === 0 && headerUuid && cache.branches.has(headerUuid)) {
+        return cache.branches.get(headerUuid);
+    }
+    return null;
+}
+
+/**
+ * The branches from the root down to a branch
+ * @param {Object} cache Branch cache
+ * @param {Object} branch Branch record
+ * @returns {{uuid: string, chat_name: string|null, label: string|null}[]} Path, root first
+ */
+function getBranchPath(cache, branch) {
+    return walkAncestors(cache, branch.uuid).chain
+        .reverse()
+        .map(current => ({ uuid: current.uuid, chat_name: current.chat_name, label: current.label ?? null }));
+}
+
+/**
+ * Cut the text around the first query word in a message
+ * @param {string} text Message text
+ * @param {string[]} tokens Query words
+ * @returns {string} Snippet, with "…" where text was cut
+ */
+function getSnippet(text, tokens) {
+    const value = String(text ?? '');
+    const lower = value.toLowerCase();
+    const positions = tokens.map(token => lower.indexOf(token)).filter(position => position >= 0);
+    const position = positions.length > 0 ? Math.min(...positions) : 0;
+
+    const start = Math.max(0, position - SEARCH_SNIPPET_RADIUS);
+    const end = Math.min(value.length, position + SEARCH_SNIPPET_RADIUS);
+    return `${start > 0 ? '…' : ''}${value.slice(start, end)}${end < value.length ? '…' : ''}`;
+}
+
+/**
+ * Get typed /messages options from a validated query string or body
+ * @param {Object} source req.query or req.body
+ * @returns {{character_name: string|null, offset: number|null, limit: number|null, around: number|null,
+ *           messages_only: boolean, stream: boolean}} Options
+ */
+function parseMessagesOptions(source = {}) {
+    const integer = value => (value === undefined || value === '' ? null : Number(value));
+    const boolean = value => value === true || value === 'true';
+
+    return {
+        character_name: source.character_name || null,
+        offset: integer(source.offset),
+        limit: integer(source.limit),
+        around: integer(source.around),
+        messages_only: boolean(source.messages_only),
+        stream: boolean(source.stream)
+    };
+}
+
+/**
+ * Read a window of a chat file's messages, line by line.
+ * Messages are numbered the way readChatFile numbers them (malformed lines don't count),
+ * and reading stops at the first message past the window.
+ * @param {import('stream').Readable} input Chat file stream (utf8)
+ * @param {{start: number, end: number, messagesOnly: boolean}} window Message indices [start, end)
+ *        and whether to leave out the header
+ * @param {function(Object): *} callback Receives { type: 'header', header },
+ *        { type: 'message', index, message } and { type: 'parse_error', line, error }
+ *        in file order; returning (or resolving to) false stops reading
+ * @returns {Promise<{count: number, hasMore: boolean, parseErrors: {line: number, error: string}[]}>}
+ *          Messages passed on, whether more follow, and the malformed lines seen (1-based)
+ */
+async function readChatWindow(input, { start, end, messagesOnly }, callback) {
+    const lines = readline.createInterface({ input, crlfDelay: Infinity });
+    const parseErrors = [];
+    let lineNumber = 0;
+    let headerSeen = false;
+    let index = 0;
+    let count = 0;
+    let hasMore = false;
+
+    try {
+        for await (const text of lines) {
+            lineNumber++;
+            if (!text.trim()) continue;
+
+            let parsed;
+            try {
+                parsed = JSON.parse(text);
+            } catch (parseError) {
+                parseErrors.push({ line: lineNumber, error: parseError.message });
+                if (await callback({ type: 'parse_error', line: lineNumber, error: parseError.message }) === false) break;
+                continue;
+            }
+
+            if (!headerSeen) {
+                headerSeen = true;
+                if (!messagesOnly && await callback({ type: 'header', header: parsed }) === false) break;
+                continue;
+            }
+
+            const messageIndex = index++;
+            if (messageIndex < start) continue;
+            if (messageIndex >= end) {
+                hasMore = true;
+                break;
+            }
+
+            count++;
+            if (await callback({ type: 'message', index: messageIndex, message: parsed }) === false) break;
+        }
+    } finally {
+        lines.close();
+        input.destroy();
+    }
+
+    return { count, hasMore, parseErrors };
+}
+
+/**
+ * Write one NDJSON line, waiting while the client is slow to read
+ * @param {import('express').Response} res Express response
+ * @param {Object} line Line to write
+ * @returns {Promise<boolean>} False once the client has gone away
+ */
+async function writeNdjsonLine(res, line) {
+    if (res.destroyed) {
+        return false;
+    }
+    if (!res.write(`${JSON.stringify(line)}\n`)) {
+        await new Promise((resolve) => {
+            const done = () => {
+                res.off('drain', done);
+                res.off('close', done);
+                resolve();
+            };
+            res.on('drain', done);
+            res.on('close', done);
+        });
+    }
+    return !res.destroyed;
+}
+
+/**
+ * Read a JSONL chat file into an array of parsed lines (header first)
+ * @param {string} filePath Path to the chat file
+ * @returns {Promise<Object[]>} Parsed lines
+ */
+async function readChatFile(filePath) {
+    const fileContent = await fs.readFile(filePath, 'utf8');
+
+    // Parse JSONL format
+    const lines = fileContent.split('\n').filter(line => line.trim());
+    const messages = [];
+
+    for (const line of lines) {
+        try {
+            const parsed = JSON.parse(line);
+            messages.push(parsed);
+        } catch (parseError) {
+            console.warn('[Chat Branches] Failed to parse line:', parseError.message);
+            // Skip malformed lines
+        }
+    }
+
+    return messages;
+}
+
+/**
+ * Parse a chat's creation time from its header, falling back to the file mtime.
+ * SillyTavern writes create_date either as a date string or as "YYYY-MM-DD@HHhMMmSSs".
+ * @param {Object} header Chat header line
+ * @param {number} mtimeMs File modification time
+ * @returns {number} Creation timestamp in ms
+ */
+function getChatCreatedAt(header, mtimeMs) {
+    const createDate = header?.create_date;
+    if (createDate) {
+        const humanized = String(createDate).match(/^(\d{4}-\d{1,2}-\d{1,2})\s*@(\d{1,2})h\s*(\d{1,2})m\s*(\d{1,2})s/);
+        const parsed = humanized
+            ? Date.parse(`${humanized[1]}T${humanized[2].padStart(2, '0')}:${humanized[3].padStart(2, '0')}:${humanized[4].padStart(2, '0')}`)
+            : Date.parse(createDate);
+        if (!Number.isNaN(parsed)) return parsed;
+    }
+    return Math.round(mtimeMs);
+}
+
+/**
+ * Key identifying a message across copies of a chat
+ * @param {Object} message Chat message
+ * @returns {string} Comparison key
+ */
+function getMessageKey(message) {
+    return JSON.stringify([message.name, !!message.is_user, message.mes, message.send_date]);
+}
+
+/**
+ * Length of the shared message prefix of two chats
+ * @param {string[]} a Message keys
+ * @param {string[]} b Message keys
+ * @returns {number} Number of leading messages in common
+ */
+function sharedPrefixLength(a, b) {
+    const max = Math.min(a.length, b.length);
+    let i = 0;
+    while (i < max && a[i] === b[i]) i++;
+    return i;
+}
+
+/**
+ * Get the path of a branch's chat file.
+ * SillyTavern stores chats in: /chats/{character_name}/{chat_name}.jsonl
+ * @param {string} chatsDir User's chats directory
+ * @param {Object} branch Branch object
+ * @param {string} [characterName] Character folder name, defaults to the character ID
+ * @returns {string} Path to the chat file
+ */
+function getBranchChatPath(chatsDir, branch, characterName) {
+    // Ensure we don't double-add .jsonl extension
+    const cleanChatName = String(branch.chat_name).replace(/\.jsonl$/i, '');
+    // Stored names predate validation, so confine the result to the chats directory
+    return resolveInside(chatsDir, characterName || branch.character_id || '', `${cleanChatName}.jsonl`);
+}
+
+/**
+ * Walk up from a branch to its root through the cache.
+ * Stops at a missing parent or a repeated branch and reports it as an issue.
+ * @param {Object} cache Branch cache
+ * @param {string} uuid Branch UUID
+ * @returns {{chain: Object[], issues: Object[]}} Branches from the branch up (branch first) and link problems
+ */
+function walkAncestors(cache, uuid) {
+    const chain = [];
+    const issues = [];
+    const seen = new Set();
+    let current = cache.branches.get(uuid);
+
+    while (current) {
+        if (seen.has(current.uuid)) {
+            issues.push({ type: 'cycle', uuid: current.uuid });
+            break;
+        }
+        seen.add(current.uuid);
+        chain.push(current);
+
+        if (!current.parent_uuid) break;
+
+        const parent = cache.branches.get(current.parent_uuid);
+        if (!parent) {
+            issues.push({ type: 'missing_parent', uuid: current.uuid, parent_uuid: current.parent_uuid });
+            break;
+        }
+        if (parent.root_uuid !== current.root_uuid) {
+            issues.push({ type: 'root_mismatch', uuid: current.uuid, root_uuid: current.root_uuid, parent_root_uuid: parent.root_uuid });
+        }
+        current = parent;
+    }
+
+    return { chain, issues };
+}
+
+/**
+ * Walk down from a branch breadth-first through the cache
+ * @param {Object} cache Branch cache
+ * @param {string} uuid Branch UUID
+ * @param {number|null} maxDepth Levels to walk, null for all
+ * @returns {{descendants: {branch: Object, depth: number}[], truncated: Set<string>, issues: Object[]}}
+ *          Descendants in breadth-first order, branches whose children were cut off by maxDepth,
+ *          and children that lead back to a branch already walked
+ */
+function walkDescendants(cache, uuid, maxDepth) {
+    const descendants = [];
+    const truncated = new Set();
+    const issues = [];
+    const seen = new Set([uuid]);
+
+    let frontier = [uuid];
+    for (let depth = 1; frontier.length > 0; depth++) {
+        const next = [];
+        for (const parentUuid of frontier) {
+            const children = [...cache.children.get(parentUuid) || []]
+                .map(childUuid => cache.branches.get(childUuid))
+                .filter(Boolean)
+                .sort((a, b) => a.created_at - b.created_at);
+            if (children.length === 0) continue;
+
+            if (maxDepth !== null && depth > maxDepth) {
+                truncated.add(parentUuid);
+                continue;
+            }
+
+            for (const child of children) {
+                if (seen.has(child.uuid)) {
+                    issues.push({ type: 'cycle', uuid: child.uuid, parent_uuid: parentUuid });
+                    continue;
+                }
+                seen.add(child.uuid);
+                descendants.push({ branch: child, depth });
+                next.push(child.uuid);
+            }
+        }
+        frontier = next;
+    }
+
+    return { descendants, truncated, issues };
+}
+
+/**
+ * Nest the result of walkDescendants under its top branch.
+ * Nodes cut off by the depth limit are marked collapsed with their child count, as in /tree.
+ * @param {Object} cache Branch cache
+ * @param {string} uuid Top branch UUID
+ * @param {Object} walk Result of walkDescendants
+ * @returns {Object} Tree node of the top branch
+ */
+function buildDescendantTree(cache, uuid, walk) {
+    const top = { ...cache.branches.get(uuid), children: [] };
+    const nodes = new Map([[uuid, top]]);
+
+    for (const { branch } of walk.descendants) {
+        const node = { ...branch, children: [] };
+        nodes.set(branch.uuid, node);
+        nodes.get(branch.parent_uuid).children.push(node);
+    }
+
+    for (const truncatedUuid of walk.truncated) {
+        const node = nodes.get(truncatedUuid);
+        node.child_count = cache.children.get(truncatedUuid)?.size || 0;
+        node.collapsed = true;
+    }
+
+    return top;
+}
+
+/**
+ * Find the lowest common ancestor of two branches through the cache
+ * @param {Object} cache Branch cache
+ * @param {string} uuidA First branch UUID
+ * @param {string} uuidB Second branch UUID
+ * @returns {{ancestor: Object|null, distanceA: number|null, distanceB: number|null,
+ *          childA: Object|null, childB: Object|null, issues: Object[]}}
+ *          The ancestor, how many hops up it is from each branch, the branch directly
+ *          below it on each side (null when the branch is the ancestor itself) and link problems
+ */
+function findCommonAncestor(cache, uuidA, uuidB) {
+    const a = walkAncestors(cache, uuidA);
+    const b = walkAncestors(cache, uuidB);
+    const issues = [...a.issues, ...b.issues];
+
+    // Nearest branch on B's way up that is also on A's way up
+    const distancesA = new Map(a.chain.map((branch, distance) => [branch.uuid, distance]));
+    const distanceB = b.chain.findIndex(branch => distancesA.has(branch.uuid));
+    if (distanceB === -1) {
+        return { ancestor: null, distanceA: null, distanceB: null, childA: null, childB: null, issues };
+    }
+
+    const ancestor = b.chain[distanceB];
+    const distanceA = distancesA.get(ancestor.uuid);
+    return {
+        ancestor,
+        distanceA,
+        distanceB,
+        childA: distanceA > 0 ? a.chain[distanceA - 1] : null,
+        childB: distanceB > 0 ? b.chain[distanceB - 1] : null,
+        issues
+    };
+}
+
+/**
+ * Longest common subsequence alignment of two key lists
+ * @param {string[]} a Keys of the first list
+ * @param {string[]} b Keys of the second list
+ * @returns {Array<[number|null, number|null]>} Aligned index pairs; null marks a gap
+ */
+function alignSequences(a, b) {
+    // Very long inputs fall back to a whole replacement rather than a huge table
+    if (a.length * b.length > DIFF_MAX_CELLS) {
+        return [...a.map((_, i) => [i, null]), ...b.map((_, j) => [null, j])];
+    }
+
+    const rows = a.length + 1;
+    const cols = b.length + 1;
+    const table = new Uint32Array(rows * cols);
+
+    for (let i = a.length - 1; i >= 0; i--) {
+        for (let j = b.length - 1; j >= 0; j--) {
+            table[i * cols + j] = a[i] === b[j]
+                ? table[(i + 1) * cols + j + 1] + 1
+                : Math.max(table[(i + 1) * cols + j], table[i * cols + j + 1]);
+        }
+    }
+
+    const pairs = [];
+    let i = 0;
+    let j = 0;
+    while (i < a.length && j < b.length) {
+        if (a[i] === b[j]) {
+            pairs.push([i++, j++]);
+        } else if (table[(i + 1) * cols + j] >= table[i * cols + j + 1]) {
+            pairs.push([i++, null]);
+        } else {
+            pairs.push([null, j++]);
+        }
+    }
+    while (i < a.length) pairs.push([i++, null]);
+    while (j < b.length) pairs.push([null, j++]);
+    return pairs;
+}
+
+/**
+ * Word-level diff of two texts
+ * @param {string} textA Old text
+ * @param {string} textB New text
+ * @returns {Array<{op: string, text: string}>} Runs of equal, delete and insert
+ */
+function diffText(textA, textB) {
+    const tokensA = String(textA ?? '').split(/(\s+)/).filter(Boolean);
+    const tokensB = String(textB ?? '').split(/(\s+)/).filter(Boolean);
+
+    const pairs = alignSequences(tokensA, tokensB);
+
+    const runs = [];
+    for (const [i, j] of pairs) {
+        const op = i === null ? 'insert' : j === null ? 'delete' : 'equal';
+        const text = i === null ? tokensB[j] : tokensA[i];
+        const last = runs[runs.length - 1];
+        if (last && last.op === op) {
+            last.text += text;
+        } else {
+            runs.push({ op, text });
+        }
+    }
+    return runs;
+}
+
+/**
+ * Identity of a message regardless of its text, used to pair edits and swipes
+ * @param {Object} message Chat message
+ * @returns {string} Identity key
+ */
+function getMessageIdentity(message) {
+    return JSON.stringify([message.name, !!message.is_user, message.send_date]);
+}
+
+/**
+ * Align the messages of two chats.
+ * Messages before the divergence point are shared; after it, an LCS alignment
+ * decides what is common, and unmatched messages with the same author and send
+ * date on both sides are reported as edits or swipes with a text diff.
+ * @param {Object[]} messagesA Messages of the first chat (without header)
+ * @param {Object[]} messagesB Messages of the second chat (without header)
+ * @returns {{divergenceIndex: number, entries: Object[]}} Aligned entries
+ */
+function diffChats(messagesA, messagesB) {
+    const keysA = messagesA.map(getMessageKey);
+    const keysB = messagesB.map(getMessageKey);
+    const divergenceIndex = sharedPrefixLength(keysA, keysB);
+
+    const entries = [];
+    for (let i = 0; i < divergenceIndex; i++) {
+        entries.push({ type: 'shared', index_a: i, index_b: i, message: messagesA[i] });
+    }
+
+    const tailPairs = alignSequences(keysA.slice(divergenceIndex), keysB.slice(divergenceIndex))
+        .map(([i, j]) => [i === null ? null : i + divergenceIndex, j === null ? null : j + divergenceIndex]);
+
+    // Collect runs of unmatched messages so edits can be paired across them
+    let onlyA = [];
+    let onlyB = [];
+    const flush = () => {
+        const identitiesB = onlyB.map(j => getMessageIdentity(messagesB[j]));
+        const pairedB = new Set();
+
+        for (const i of onlyA) {
+            const identity = getMessageIdentity(messagesA[i]);
+            const matchIndex = identitiesB.findIndex((id, k) => id === identity && !pairedB.has(k));
+            if (matchIndex === -1) {
+                entries.push({ type: 'only_a', index_a: i, index_b: null, message: messagesA[i] });
+                continue;
+            }
+
+            pairedB.add(matchIndex);
+            const j = onlyB[matchIndex];
+            const messageA = messagesA[i];
+            const messageB = messagesB[j];
+            const isSwipe = Array.isArray(messageA.swipes) && messageA.swipes.includes(messageB.mes);
+            entries.push({
+                type: 'changed',
+                change: isSwipe ? 'swipe' : 'edit',
+                index_a: i,
+                index_b: j,
+                message_a: messageA,
+                message_b: messageB,
+                text_diff: diffText(messageA.mes, messageB.mes)
+            });
+        }
+
+        onlyB.forEach((j, k) => {
+            if (!pairedB.has(k)) {
+                entries.push({ type: 'only_b', index_a: null, index_b: j, message: messagesB[j] });
+            }
+        });
+
+        onlyA = [];
+        onlyB = [];
+    };
+
+    for (const [i, j] of tailPairs) {
+        if (i !== null && j !== null) {
+            flush();
+            entries.push({ type: 'shared', index_a: i, index_b: j, message: messagesA[i] });
+        } else if (i !== null) {
+            onlyA.push(i);
+        } else {
+            onlyB.push(j);
+        }
+    }
+    flush();
+
+    return { divergenceIndex, entries };
+}
+
+/**
+ * Infer branch records for a character's untracked chat files.
+ * Each chat's parent is the older chat it shares the longest message prefix
+ * with (the oldest on ties); branch_point is the index of the last shared message.
+ * Chats already tracked by name or metadata UUID are never changed, so the plan is idempotent.
+ * @param {Object} storage User storage instance
+ * @param {string} characterId Character ID
+ * @param {string} characterDir Path to chats/<character>
+ * @param {{minShared: number}} options Inference options
+ * @returns {Promise<{character_id: string, created: Object[], skipped: Object[]}>} Import plan
+ */
+async function planBootstrap(storage, characterId, characterDir, { minShared }) {
+    let entries;
+    try {
+        entries = await fs.readdir(characterDir, { withFileTypes: true });
+    } catch (error) {
+        if (error.code === 'ENOENT') return { character_id: characterId, created: [], skipped: [] };
+        throw error;
+    }
+
+    // Existing records, so tracked chats keep their identity
+    const existingByName = new Map();
+    const existingUuids = new Set();
+    for (const uuid of new Set(await storage.getItem(`char:${characterId}`) || [])) {
+        const branch = await storage.getItem(`branch:${uuid}`);
+        if (!branch) continue;
+        existingUuids.add(uuid);
+        if (branch.chat_name) existingByName.set(branch.chat_name, branch);
+    }
+
+    const chats = [];
+    for (const entry of entries) {
+        if (!entry.isFile() || !/\.jsonl$/i.test(entry.name)) continue;
+
+        const filePath = path.join(characterDir, entry.name);
+        const [header, ...messages] = await readChatFile(filePath);
+        const { mtimeMs } = await fs.stat(filePath);
+        const metadataUuid = header?.chat_metadata?.[CHAT_METADATA_UUID_FIELD] || null;
+        const chatName = entry.name.replace(/\.jsonl$/i, '');
+
+        chats.push({
+            chat_name: chatName,
+            created_at: getChatCreatedAt(header, mtimeMs),
+            keys: messages.map(getMessageKey),
+            existing: existingByName.get(chatName) || (existingUuids.has(metadataUuid) ? { uuid: metadataUuid } : null),
+            metadataUuid
+        });
+    }
+
+    // Oldest first, so a parent is always decided before its children
+    chats.sort((a, b) => a.created_at - b.created_at || a.chat_name.localeCompare(b.chat_name));
+
+    const created = [];
+    const skipped = [];
+    const resolved = [];
+    const usedUuids = new Set(existingUuids);
+
+    for (const chat of chats) {
+        let parent = null;
+        let shared = 0;
+        for (const candidate of resolved) {
+            const length = sharedPrefixLength(candidate.keys, chat.keys);
+            if (length > shared) {
+                parent = candidate;
+                shared = length;
+            }
+        }
+        if (shared < minShared) parent = null;
+
+        if (chat.existing) {
+            const branch = chat.existing.root_uuid ? chat.existing : await storage.getItem(`branch:${chat.existing.uuid}`);
+            resolved.push({ ...chat, branch });
+            skipped.push({ chat_name: chat.chat_name, uuid: branch.uuid, reason: 'already tracked' });
+            continue;
+        }
+
+        const uuid = chat.metadataUuid && !usedUuids.has(chat.metadataUuid) ? chat.metadataUuid : crypto.randomUUID();
+        usedUuids.add(uuid);
+        const branch = {
+            uuid,
+            parent_uuid: parent ? parent.branch.uuid : null,
+            root_uuid: parent ? parent.branch.root_uuid : uuid,
+            character_id: characterId,
+            chat_name: chat.chat_name,
+            branch_point: parent ? shared - 1 : null,
+            created_at: chat.created_at
+        };
+
+        resolved.push({ ...chat, branch });
+        created.push(branch);
+    }
+
+    return { character_id: characterId, created, skipped };
+}
+
+/**
+ * Build a versioned export bundle from a set of branches
+ * @param {Object} storage User storage instance
+ * @param {string[]} branchUuids UUIDs of branches to export
+ * @param {{character_id: string|null, root_uuid?: string, characterDir: string|null}} options
+ *        Bundle metadata; characterDir includes chat files when set
+ * @returns {Promise<Object>} Export bundle
+ */
+async function createExportBundle(storage, branchUuids, { character_id, root_uuid, characterDir }) {
+    const branches = [];
+    for (const uuid of new Set(branchUuids)) {
+        const branch = await storage.getItem(`branch:${uuid}`);
+        if (branch) branches.push(branch);
+    }
+
+    // Sort by creation date
+    branches.sort((a, b) => a.created_at - b.created_at);
+
+    const bundle = {
+        format: BUNDLE_FORMAT,
+        version: BUNDLE_VERSION,
+        exported_at: Date.now(),
+        character_id,
+        root_uuid: root_uuid || null,
+        branch_count: branches.length,
+        tree: buildTree(branches)
+    };
+
+    if (characterDir) {
+        bundle.chats = {};
+        for (const branch of branches) {
+            if (!branch.chat_name) continue;
+            try {
+                bundle.chats[branch.chat_name] = await fs.readFile(resolveInside(characterDir, `${branch.chat_name}.jsonl`), 'utf8');
+            } catch (error) {
+                if (error.code !== 'ENOENT' && !(error instanceof ApiError)) throw error;
+                console.warn('[Chat Branches] Chat file missing from export:', branch.chat_name);
+            }
+        }
+    }
+
+    return bundle;
+}
+
+/**
+ * Flatten a buildTree structure into its nodes with the links implied by the nesting
+ * @param {Array} tree Tree structure
+ * @returns {{node: Object, parent_uuid: string|null, root_uuid: string}[]}
+ *          Nodes, parents before children, with the UUIDs of their parent and top node
+ */
+function flattenTree(tree) {
+    const records = [];
+    const visit = (node, parentUuid, rootUuid) => {
+        records.push({ node, parent_uuid: parentUuid, root_uuid: rootUuid });
+        (node.children || []).forEach(child => visit(child, node.uuid, rootUuid));
+    };
+    tree.forEach(node => visit(node, null, node.uuid));
+    return records;
+}
+
+/**
+ * Check fields against request rules without a request
+ * @param {Object} body Fields to check
+ * @param {Object} fields Field rules
+ * @returns {string|null} Description of the first problem, or null if valid
+ */
+function findFieldProblem(body, fields) {
+    try {
+        validateRequest({ body }, { body: fields });
+        return null;
+    } catch (error) {
+        if (!(error instanceof ApiError)) throw error;
+        return error.message;
+    }
+}
+
+/**
+ * Check that an import bundle is well-formed
+ * @param {Object} bundle Bundle from /export
+ * @returns {string|null} Description of the problem, or null if valid
+ */
+function validateBundle(bundle) {
+    if (!bundle || typeof bundle !== 'object') return 'missing bundle';
+    if (bundle.format !== BUNDLE_FORMAT) return `unknown format ${bundle.format}`;
+    if (!Number.isInteger(bundle.version) || bundle.version > BUNDLE_VERSION) return `unsupported version ${bundle.version}`;
+    if (!Array.isArray(bundle.tree)) return 'tree must be an array';
+    if (bundle.chats !== undefined && (typeof bundle.chats !== 'object' || bundle.chats === null)) return 'chats must be an object';
+
+    // The bundle's character_id names the character and its chats folder unless the request overrides it
+    const characterProblem = findFieldProblem(bundle, { character_id: nullable(rules.name) });
+    if (characterProblem) return characterProblem;
+
+    const seen = new Set();
+    const stack = [...bundle.tree];
+    while (stack.length > 0) {
+        const node = stack.pop();
+        if (!node || typeof node !== 'object' || Array.isArray(node)) return 'tree node must be an object';
+        const problem = findFieldProblem(node, BUNDLE_NODE_FIELDS);
+        if (problem) return typeof node.uuid === 'string' ? `branch ${node.uuid}: ${problem}` : `tree node: ${problem}`;
+        const metadata = parseUserMetadata(node);
+        if (metadata.error) return `branch ${node.uuid}: ${metadata.error}`;
+        if (seen.has(node.uuid)) return `duplicate branch ${node.uuid}`;
+        seen.add(node.uuid);
+
+        if (node.children !== undefined && !Array.isArray(node.children)) return `branch ${node.uuid} has invalid children`;
+        stack.push(...(node.children || []));
+    }
+
+    for (const [chatName, content] of Object.entries(bundle.chats || {})) {
+        if (typeof content !== 'string') return `chat ${chatName} must be a string`;
+        if (chatName.includes('/') || chatName.includes('\\') || chatName.startsWith('.')) return `invalid chat name ${chatName}`;
+    }
+
+    return null;
+}
+
+/**
+ * Pick a chat name not already used by a file in the directory
+ * @param {string} characterDir Path to chats/<character>
+ * @param {string} chatName Preferred chat name
+ * @param {Set<string>} [reserved] Names already claimed but not yet written
+ * @returns {Promise<string>} Free chat name
+ */
+async function getFreeChatName(characterDir, chatName, reserved = new Set()) {
+    for (let n = 1; ; n++) {
+        const candidate = n === 1 ? chatName : `${chatName} (${n})`;
+        if (reserved.has(candidate)) continue;
+        try {
+            await fs.access(path.join(characterDir, `${candidate}.jsonl`));
+        } catch {
+            return candidate;
+        }
+    }
+}
+
+/**
+ * Register the branches of a validated bundle, remapping colliding UUIDs
+ * and writing any bundled chat files.
+ * @param {Object} storage User storage instance
+ * @param {Object} bundle Validated bundle
+ * @param {string|null} characterId Character to bind the branches to
+ * @param {string|null} characterDir Path to chats/<character> for bundled chat files
+ *        (required when the bundle has chats)
+ * @returns {Promise<{imported: number, remapped: Object, chats_written: string[]}>} Import summary
+ */
+async function importBundle(storage, bundle, characterId, characterDir) {
+    const records = flattenTree(bundle.tree);
+    const chats = bundle.chats || {};
+
+    // Remap every UUID that already exists in this store
+    const remapped = {};
+    for (const { node } of records) {
+        if (await storage.getItem(`branch:${node.uuid}`)) {
+            remapped[node.uuid] = crypto.randomUUID();
+        }
+    }
+    const mapUuid = uuid => remapped[uuid] || uuid;
+
+    const branches = [];
+    const chatFiles = [];
+    const reservedNames = new Set();
+
+    for (const record of records) {
+        const { node } = record;
+        // Only known fields are copied; links come from the nesting, never the node
+        const branch = {
+            ...createBranchRecord({
+                uuid: mapUuid(node.uuid),
+                parent_uuid: record.parent_uuid ? mapUuid(record.parent_uuid) : null,
+                root_uuid: mapUuid(record.root_uuid),
+                character_id: characterId,
+                chat_name: node.chat_name,
+                branch_point: node.branch_point,
+                created_at: node.created_at
+            }),
+            ...parseUserMetadata(node).fields
+        };
+
+        if (branch.chat_name && typeof chats[branch.chat_name] === 'string') {
+            const chatName = await getFreeChatName(characterDir, branch.chat_name, reservedNames);
+            reservedNames.add(chatName);
+
+            let content = chats[branch.chat_name];
+
+            // Keep the chat's own metadata pointing at its (possibly remapped) branch
+            if (remapped[node.uuid]) {
+                const [headerLine, ...rest] = content.split('\n');
+                try {
+                    const header = JSON.parse(headerLine);
+                    if (header?.chat_metadata?.[CHAT_METADATA_UUID_FIELD] === node.uuid) {
+                        header.chat_metadata[CHAT_METADATA_UUID_FIELD] = branch.uuid;
+                        content = [JSON.stringify(header), ...rest].join('\n');
+                    }
+                } catch {
+                    // Leave unparseable headers untouched
+                }
+            }
+
+            branch.chat_name = chatName;
+            chatFiles.push({ chatName, content });
+        }
+
+        branches.push(branch);
+    }
+
+    // Chat files go first so no committed branch points at a missing file;
+    // if anything fails, the files this import created are removed again
+    const written = [];
+    try {
+        if (chatFiles.length > 0) {
+            await fs.mkdir(characterDir, { recursive: true });
+        }
+        for (const { chatName, content } of chatFiles) {
+            const filePath = path.join(characterDir, `${chatName}.jsonl`);
+            await fs.writeFile(filePath, content, { encoding: 'utf8', flag: 'wx' });
+            written.push(filePath);
+        }
+
+        await runTransaction(storage, characterId ? [`char:${characterId}`] : [], async (tx) => {
+            for (const branch of branches) {
+                if (!await insertBranch(tx, branch)) {
+                    throw new Error(`Branch ${branch.uuid} was created while importing, try again`);
+                }
+            }
+        });
+    } catch (error) {
+        for (const filePath of written) {
+            await fs.unlink(filePath).catch(unlinkError => {
+                console.warn('[Chat Branches] Could not remove chat file of a failed import:', filePath, unlinkError.message);
+            });
+        }
+        throw error;
+    }
+
+    return { imported: branches.length, remapped, chats_written: chatFiles.map(f => f.chatName) };
+}
+
+/**
+ * Read every record in a storage instance, grouped by key type
+ * @param {Object} storage User storage instance
+ * @returns {Promise<{branches: Map<string, Object>, charIndices: Map<string, string[]>, rootIndices: Map<string, string[]>, nameIndices: string[]}>}
+ */
+async function readAllRecords(storage) {
+    const branches = new Map();
+    const charIndices = new Map();
+    const rootIndices = new Map();
+    const nameIndices = [];
+
+    await storage.forEach(({ key, value }) => {
+        if (key.startsWith('branch:') && value) {
+            branches.set(key.slice('branch:'.length), value);
+        } else if (key.startsWith('char:')) {
+            charIndices.set(key, Array.isArray(value) ? value : []);
+        } else if (key.startsWith('root:')) {
+            rootIndices.set(key, Array.isArray(value) ? value : []);
+        } else if (key.startsWith('names:')) {
+            nameIndices.push(key);
+        }
+    });
+
+    return { branches, charIndices, rootIndices, nameIndices };
+}
+
+/**
+ * Scan storage for inconsistencies between branch records and their indices
+ * @param {Object} storage User storage instance
+ * @returns {Promise<Object>} Integrity report
+ */
+async function checkIntegrity(storage) {
+    const { branches, charIndices, rootIndices } = await readAllRecords(storage);
+
+    const report = {
+        ok: true,
+        checked: {
+            branches: branches.size,
+            charIndices: charIndices.size,
+            rootIndices: rootIndices.size
+        },
+        danglingIndexEntries: [],
+        duplicateIndexEntries: [],
+        unindexedBranches: [],
+        rootMismatches: [],
+        cycles: [],
+        emptyIndices: []
+    };
+
+    // Index entries pointing to missing branch records
+    for (const [key, uuids] of [...charIndices, ...rootIndices]) {
+        if (uuids.length === 0) {
+            report.emptyIndices.push(key);
+            continue;
+        }
+
+        const seen = new Set();
+        for (const uuid of uuids) {
+            if (seen.has(uuid)) {
+                report.duplicateIndexEntries.push({ index: key, uuid });
+                continue;
+            }
+            seen.add(uuid);
+            if (!branches.has(uuid)) {
+                report.danglingIndexEntries.push({ index: key, uuid });
+            }
+        }
+    }
+
+    // Branch records missing from their char:/root: index
+    for (const [uuid, branch] of branches) {
+        const missing = [];
+        if (branch.character_id && !(charIndices.get(`char:${branch.character_id}`) || []).includes(uuid)) {
+            missing.push(`char:${branch.character_id}`);
+        }
+        if (!(rootIndices.get(`root:${branch.root_uuid}`) || []).includes(uuid)) {
+            missing.push(`root:${branch.root_uuid}`);
+        }
+        if (missing.length > 0) {
+            report.unindexedBranches.push({ uuid, missing });
+        }
+    }
+
+    // Walk each parent chain to find cycles and the root it should belong to
+    const cycleMembers = new Set();
+    for (const [uuid, branch] of branches) {
+        if (cycleMembers.has(uuid)) continue;
+
+        const chain = [uuid];
+        const onPath = new Set(chain);
+        let current = branch;
+
+        while (current.parent_uuid && branches.has(current.parent_uuid)) {
+            const parentUuid = current.parent_uuid;
+            if (onPath.has(parentUuid)) {
+                const cycle = chain.slice(chain.indexOf(parentUuid));
+                if (!cycle.some(id => cycleMembers.has(id))) {
+                    report.cycles.push(cycle);
+                }
+                cycle.forEach(id => cycleMembers.add(id));
+                current = null;
+                break;
+            }
+            chain.push(parentUuid);
+            onPath.add(parentUuid);
+            current = branches.get(parentUuid);
+        }
+
+        // Branches leading into a cycle have no well-defined root
+        if (!current || chain.some(id => cycleMembers.has(id))) continue;
+
+        // The top of the chain is authoritative for the whole chain
+        const expectedRoot = current.root_uuid;
+        if (branch.root_uuid !== expectedRoot) {
+            report.rootMismatches.push({
+                uuid,
+                root_uuid: branch.root_uuid,
+                expected_root_uuid: expectedRoot
+            });
+        }
+    }
+
+    report.ok = report.danglingIndexEntries.length === 0
+        && report.duplicateIndexEntries.length === 0
+        && report.unindexedBranches.length === 0
+        && report.rootMismatches.length === 0
+        && report.cycles.length === 0
+        && report.emptyIndices.length === 0;
+
+    return report;
+}
+
+/**
+ * Rebuild all char:/root:/names: indices from the branch records.
+ * Empty and stale indices are removed; branch records themselves are left untouched.
+ * @param {Object} storage User storage instance
+ * @returns {Promise<{indicesWritten: number, indicesRemoved: number}>} Repair summary
+ */
+async function rebuildIndices(storage) {
+    // Pre-read only to know which keys to lock; the rebuild itself re-reads under the locks
+    const snapshot = await readAllRecords(storage);
+    const lockKeys = [...snapshot.charIndices.keys(), ...snapshot.rootIndices.keys(), ...snapshot.nameIndices];
+
+    return runTransaction(storage, lockKeys, async (tx) => {
+        const { branches, charIndices, rootIndices, nameIndices } = await readAllRecords(storage);
+
+        const rebuilt = new Map();
+        const sorted = [...branches.values()].sort((a, b) => a.created_at - b.created_at);
+        for (const branch of sorted) {
+            const keys = [`root:${branch.root_uuid}`];
+            if (branch.character_id) keys.push(`char:${branch.character_id}`);
+            for (const key of keys) {
+                if (!rebuilt.has(key)) rebuilt.set(key, []);
+                rebuilt.get(key).push(branch.uuid);
+            }
+        }
+
+        // chat_name indices, per character
+        for (const branch of sorted) {
+            if (!branch.character_id || !branch.chat_name) continue;
+            const key = `names:${branch.character_id}`;
+            if (!rebuilt.has(key)) rebuilt.set(key, {});
+            const names = rebuilt.get(key);
+            (names[branch.chat_name] = names[branch.chat_name] || []).push(branch.uuid);
+        }
+
+        let indicesRemoved = 0;
+        for (const key of [...charIndices.keys(), ...rootIndices.keys(), ...nameIndices]) {
+            if (!rebuilt.has(key)) {
+                await tx.removeItem(key);
+                indicesRemoved++;
+            }
+        }
+
+        for (const [key, uuids] of rebuilt) {
+            await tx.setItem(key, uuids);
+        }
+
+        return { indicesWritten: rebuilt.size, indicesRemoved };
+    });
+}
+
+/**
+ * Validate the user metadata fields of a PATCH body.
+ * null clears label, notes and color; tags is replaced as a whole.
+ * @param {Object} body Request body
+ * @returns {{fields: Object, field?: string, error?: string}} Fields to assign, or the bad field and why
+ */
+function parseUserMetadata(body) {
+    const fields = {};
+    const { label, notes, tags, starred, color } = body;
+
+    for (const [name, value, maxLength] of [['label', label, LABEL_MAX_LENGTH], ['notes', notes, NOTES_MAX_LENGTH]]) {
+        if (value === undefined) continue;
+        if (value !== null && typeof value !== 'string') {
+            return { fields, field: name, error: `${name} must be a string or null` };
+        }
+        if (value && value.length > maxLength) {
+            return { fields, field: name, error: `${name} must be at most ${maxLength} characters` };
+        }
+        fields[name] = value || null;
+    }
+
+    if (tags !== undefined) {
+        if (!Array.isArray(tags) || tags.some(tag => typeof tag !== 'string')) {
+            return { fields, field: 'tags', error: 'tags must be an array of strings' };
+        }
+        const cleaned = [...new Set(tags.map(tag => tag.trim()).filter(Boolean))];
+        if (cleaned.length > TAGS_MAX_COUNT || cleaned.some(tag => tag.length > TAG_MAX_LENGTH)) {
+            return { fields, field: 'tags', error: `tags allows at most ${TAGS_MAX_COUNT} tags of ${TAG_MAX_LENGTH} characters` };
+        }
+        fields.tags = cleaned;
+    }
+
+    if (starred !== undefined) {
+        if (typeof starred !== 'boolean') {
+            return { fields, field: 'starred', error: 'starred must be a boolean' };
+        }
+        fields.starred = starred;
+    }
+
+    if (color !== undefined) {
+        if (color !== null && !(typeof color === 'string' && /^#(?:[0-9a-f]{3}|[0-9a-f]{6})$/i.test(color))) {
+            return { fields, field: 'color', error: 'color must be a hex color like #ff8800, or null' };
+        }
+        fields.color = color;
+    }
+
+    return { fields };
+}
+
+/**
+ * Parse and validate the query options of the tree routes
+ * @param {Object} query Express query object
+ * @returns {Object} Parsed options, or { error } if invalid
+ */
+function parseTreeQuery(query) {
+    const options = {
+        depth: null,
+        subtree: query.subtree ? String(query.subtree) : null,
+        createdAfter: null,
+        createdBefore: null,
+        limit: null,
+        cursor: null,
+        lightweight: query.lightweight === 'true'
+    };
+
+    if (query.depth !== undefined) {
+        options.depth = Number(query.depth);
+        if (!Number.isInteger(options.depth) || options.depth < 0) {
+            return { error: 'depth must be a non-negative integer' };
+        }
+    } else if (options.lightweight) {
+        // Lightweight trees start collapsed below the top level
+        options.depth = 0;
+    }
+
+    for (const [param, key] of [['created_after', 'createdAfter'], ['created_before', 'createdBefore']]) {
+        if (query[param] === undefined) continue;
+        const value = /^\d+$/.test(query[param]) ? Number(query[param]) : Date.parse(query[param]);
+        if (Number.isNaN(value)) {
+            return { error: `${param} must be a timestamp or date` };
+        }
+        options[key] = value;
+    }
+
+    if (query.limit !== undefined) {
+        options.limit = Number(query.limit);
+        if (!Number.isInteger(options.limit) || options.limit < 1) {
+            return { error: 'limit must be a positive integer' };
+        }
+    }
+
+    if (query.cursor !== undefined) {
+        try {
+            options.cursor = JSON.parse(Buffer.from(String(query.cursor), 'base64url').toString('utf8'));
+        } catch {
+            return { error: 'Invalid cursor' };
+        }
+        if (!Array.isArray(options.cursor) || options.cursor.length !== 2) {
+            return { error: 'Invalid cursor' };
+        }
+    }
+
+    return options;
+}
+
+/**
+ * Load branches and build a tree shaped by the tree query options
+ * @param {Object} storage User storage instance
+ * @param {string[]} branchUuids Candidate branch UUIDs
+ * @param {Object} query Options from parseTreeQuery
+ * @returns {Promise<{tree: Array, next_cursor?: string|null}>} Tree and pagination cursor
+ */
+async function queryTree(storage, branchUuids, query) {
+    // Fetch all branches (deduplicated to prevent duplicate branches)
+    let branches = [];
+    for (const uuid of new Set(branchUuids)) {
+        const branch = await storage.getItem(`branch:${uuid}`);
+        if (branch) branches.push(branch);
+    }
+
+    if (query.createdAfter !== null) {
+        branches = branches.filter(b => b.created_at >= query.createdAfter);
+    }
+    if (query.createdBefore !== null) {
+        branches = branches.filter(b => b.created_at <= query.createdBefore);
+    }
+
+    // Sort by creation date, with UUID as a stable tie-breaker for cursors
+    branches.sort((a, b) => a.created_at - b.created_at || String(a.uuid).localeCompare(String(b.uuid)));
+
+    // Build tree structure
+    let tree = buildTree(branches);
+
+    if (query.subtree) {
+        const node = findTreeNode(tree, query.subtree);
+        tree = node ? [node] : [];
+    }
+
+    // Paginate root nodes after the cursor's (created_at, uuid) position
+    let nextCursor;
+    if (query.cursor) {
+        const [cursorCreatedAt, cursorUuid] = query.cursor;
+        tree = tree.filter(node => node.created_at > cursorCreatedAt
+            || (node.created_at === cursorCreatedAt && String(node.uuid).localeCompare(String(cursorUuid)) > 0));
+    }
+    if (query.limit !== null) {
+        const hasMore = tree.length > query.limit;
+        tree = tree.slice(0, query.limit);
+        const last = tree[tree.length - 1];
+        nextCursor = hasMore
+            ? Buffer.from(JSON.stringify([last.created_at, last.uuid]), 'utf8').toString('base64url')
+            : null;
+    }
+
+    if (query.depth !== null || query.lightweight) {
+        tree.forEach(node => collapseTree(node, query.depth, query.lightweight));
+    }
+
+    return nextCursor === undefined ? { tree } : { tree, next_cursor: nextCursor };
+}
+
+/**
+ * Find a node anywhere in a tree
+ * @param {Array} tree Tree structure
+ * @param {string} uuid UUID to find
+ * @returns {Object|null} Tree node
+ */
+function findTreeNode(tree, uuid) {
+    const stack = [...tree];
+    while (stack.length > 0) {
+        const node = stack.pop();
+        if (node.uuid === uuid) return node;
+        stack.push(...node.children);
+    }
+    return null;
+}
+
+/**
+ * Cut a tree off below a depth. Collapsed nodes keep their child count;
+ * in lightweight mode every node reports its child count.
+ * @param {Object} node Tree node
+ * @param {number|null} depth Levels to keep below this node, null for all
+ * @param {boolean} lightweight Add child counts to every node
+ */
+function collapseTree(node, depth, lightweight) {
+    if (lightweight) {
+        node.child_count = node.children.length;
+    }
+
+    if (depth !== null && depth <= 0) {
+        if (node.children.length > 0) {
+            node.child_count = node.children.length;
+            node.collapsed = true;
+            node.children = [];
+        }
+        return;
+    }
+
+    node.children.forEach(child => collapseTree(child, depth === null ? null : depth - 1, lightweight));
+}
+
+/**
+ * Build hierarchical tree structure from flat branch list
+ * @param {Array} branches Flat list of branches
+ * @returns {Array} Tree structure
+ */
+function buildTree(branches) {
     const map = new Map();
     const roots = [];
 
@@ -587,87 +4645,773 @@ function buildTree(branches) {
 }
 
 /**
- * Delete a single branch and update indices
- * @param {string} uuid UUID of branch to delete
+ * Build a branch record from the fields of a create request
+ * @param {Object} fields Validated BRANCH_CREATE_FIELDS
+ * @returns {Object} Branch record
+ */
+function createBranchRecord({ uuid, parent_uuid, root_uuid, character_id, chat_name, branch_point, created_at }) {
+    return {
+        uuid,
+        parent_uuid: parent_uuid || null,
+        root_uuid,
+        character_id: character_id || null,
+        // Ensure chat_name doesn't have .jsonl extension (we store clean names)
+        chat_name: chat_name ? String(chat_name).replace(/\.jsonl$/i, '') : null,
+        branch_point: branch_point ?? null,
+        created_at: created_at || Date.now()
+    };
+}
+
+/**
+ * Insert a branch sent by a client, refusing parents that would make it its own ancestor
+ * @param {Object} tx Storage transaction
+ * @param {Object} branch Branch record
+ * @returns {Promise<boolean>} False if a branch with this UUID already exists
+ * @throws {ApiError} CYCLE_DETECTED
+ */
+async function registerBranch(tx, branch) {
+    // Orphans may already point at this UUID, so a parent below them would close a loop
+    if (branch.parent_uuid && await wouldCreateCycle(tx, branch.uuid, branch.parent_uuid)) {
+        throw new ApiError(400, 'CYCLE_DETECTED', 'A branch cannot be its own ancestor');
+    }
+    return insertBranch(tx, branch);
+}
+
+/**
+ * Apply a PATCH to a branch, keeping the character and root indices in step
+ * @param {Object} tx Storage transaction
+ * @param {string} uuid Branch UUID
+ * @param {Object} changes Validated BRANCH_PATCH_FIELDS
+ * @param {Object} metadataFields User metadata from parseUserMetadata()
+ * @returns {Promise<Object|null|false>} Updated branch, null if not found, false if nothing changed
+ * @throws {ApiError} CYCLE_DETECTED
+ */
+async function patchBranch(tx, uuid, { chat_name, character_id, parent_uuid, root_uuid }, metadataFields) {
+    const branch = await tx.getItem(`branch:${uuid}`);
+    if (!branch) {
+        return null;
+    }
+
+    let updated = false;
+
+    if (chat_name !== undefined) {
+        // Ensure chat_name doesn't have .jsonl extension (we store clean names)
+        const cleanChatName = String(chat_name).replace(/\.jsonl$/i, '');
+        branch.chat_name = cleanChatName;
+        updated = true;
+    }
+
+    if (character_id !== undefined && character_id !== branch.character_id) {
+        // Remove from old character index
+        if (branch.character_id) {
+            await removeFromIndex(tx, `char:${branch.character_id}`, uuid);
+        }
+
+        // Add to new character index
+        await addToIndex(tx, `char:${character_id}`, uuid);
+
+        branch.character_id = character_id;
+        updated = true;
+    }
+
+    // Preserve parent_uuid if provided (prevents structure corruption)
+    if (parent_uuid !== undefined && parent_uuid !== branch.parent_uuid) {
+        if (parent_uuid && await wouldCreateCycle(tx, uuid, parent_uuid)) {
+            throw new ApiError(400, 'CYCLE_DETECTED', 'A branch cannot be moved under itself or one of its descendants');
+        }
+
+        // Root indices follow root_uuid below
+        branch.parent_uuid = parent_uuid;
+        updated = true;
+    }
+
+    // Preserve root_uuid if provided (prevents structure corruption)
+    if (root_uuid !== undefined && root_uuid !== branch.root_uuid) {
+        // If root is changing, update root indices
+        if (branch.root_uuid) {
+            await removeFromIndex(tx, `root:${branch.root_uuid}`, uuid);
+        }
+        await addToIndex(tx, `root:${root_uuid}`, uuid);
+
+        branch.root_uuid = root_uuid;
+        updated = true;
+    }
+
+    if (Object.keys(metadataFields).length > 0) {
+        Object.assign(branch, metadataFields);
+        updated = true;
+    }
+
+    if (!updated) {
+        // Nothing was written, so the transaction commits as a no-op
+        return false;
+    }
+
+    await tx.setItem(`branch:${uuid}`, branch);
+    return branch;
+}
+
+/**
+ * Move a branch to the trash, with its descendants if cascading
+ * @param {Object} tx Storage transaction
+ * @param {string} uuid Branch UUID
+ * @param {boolean} cascade Delete children too
+ * @returns {Promise<boolean>} False if the branch doesn't exist
+ */
+async function removeBranch(tx, uuid, cascade) {
+    const branch = await tx.getItem(`branch:${uuid}`);
+    if (!branch) {
+        return false;
+    }
+
+    const deletionId = crypto.randomUUID();
+    if (cascade) {
+        // Delete recursively
+        await deleteRecursive(tx, uuid, branch, deletionId);
+    } else {
+        // Just delete this one
+        await deleteBranch(tx, uuid, branch, deletionId);
+    }
+    return true;
+}
+
+/**
+ * Run one /batch operation inside the batch's transaction
+ * @param {Object} tx Storage transaction
+ * @param {Object} operation { op: 'create'|'patch'|'move'|'delete', uuid, ...fields }
+ * @returns {Promise<Object>} Fields for the operation's result
+ * @throws {ApiError} If the operation is invalid or can't be applied
+ */
+async function runBatchOperation(tx, operation) {
+    if (!operation || typeof operation !== 'object' || Array.isArray(operation)) {
+        throw new ApiError(400, 'INVALID_FIELD', 'operation must be an object', { field: 'operation' });
+    }
+
+    switch (operation.op) {
+        case 'create': {
+            validateRequest({ body: operation }, { body: BRANCH_CREATE_FIELDS });
+            const created = await registerBranch(tx, createBranchRecord(operation));
+            return { uuid: operation.uuid, created };
+        }
+        case 'patch': {
+            validateRequest({ body: operation }, { body: { uuid: required(rules.id), ...BRANCH_PATCH_FIELDS } });
+            const metadata = parseUserMetadata(operation);
+            if (metadata.error) {
+                throw new ApiError(400, 'INVALID_FIELD', metadata.error, { field: metadata.field });
+            }
+
+            const branch = await patchBranch(tx, operation.uuid, operation, metadata.fields);
+            if (branch === null) {
+                throw new ApiError(404, 'BRANCH_NOT_FOUND', 'Branch not found', { uuid: operation.uuid });
+            }
+            if (!branch) {
+                throw new ApiError(400, 'NO_CHANGES', 'No fields to update');
+            }
+            return { uuid: operation.uuid, branch };
+        }
+        case 'move': {
+            validateRequest({ body: operation }, { body: { uuid: required(rules.id), ...BRANCH_MOVE_FIELDS } });
+            if (operation.detach !== true && !operation.parent_uuid) {
+                throw new ApiError(400, 'INVALID_FIELD', 'Missing required field: parent_uuid (or detach: true)', { field: 'parent_uuid' });
+            }
+
+            const result = await moveSubtree(tx, operation.uuid, {
+                parentUuid: operation.detach === true ? null : operation.parent_uuid,
+                branchPoint: operation.branch_point
+            });
+            if (result.error) {
+                throw new ApiError(result.status, result.code, result.error, { uuid: operation.uuid });
+            }
+            return { uuid: operation.uuid, ...result };
+        }
+        case 'delete': {
+            validateRequest({ body: operation }, { body: { uuid: required(rules.id), cascade: rules.boolean } });
+            if (!await removeBranch(tx, operation.uuid, operation.cascade === true)) {
+                throw new ApiError(404, 'BRANCH_NOT_FOUND', 'Branch not found', { uuid: operation.uuid });
+            }
+            return { uuid: operation.uuid };
+        }
+        default:
+            throw new ApiError(400, 'INVALID_FIELD', 'op must be one of: create, patch, move, delete', { field: 'op' });
+    }
+}
+
+/**
+ * Store a new branch and add it to its character and root indices
+ * @param {Object} tx Storage transaction
  * @param {Object} branch Branch object
+ * @returns {Promise<boolean>} False if a branch with this UUID already exists
  */
-async function deleteBranch(uuid, branch) {
-    // Remove from branch storage
-    await storage.removeItem(`branch:${uuid}`);
+async function insertBranch(tx, branch) {
+    // Check if branch already exists to prevent duplicates
+    const existingBranch = await tx.getItem(`branch:${branch.uuid}`);
+    if (existingBranch) {
+        return false;
+    }
+
+    // Store branch by UUID
+    await tx.setItem(`branch:${branch.uuid}`, branch);
 
-    // Remove from character index
+    // Index by character for fast lookups
     if (branch.character_id) {
-        const charBranches = await storage.getItem(`char:${branch.character_id}`) || [];
-        const filtered = charBranches.filter(id => id !== uuid);
-        await storage.setItem(`char:${branch.character_id}`, filtered);
+        await addToIndex(tx, `char:${branch.character_id}`, branch.uuid);
     }
 
-    // Remove from root index
-    const rootBranches = await storage.getItem(`root:${branch.root_uuid}`) || [];
-    const filtered = rootBranches.filter(id => id !== uuid);
-    await storage.setItem(`root:${branch.root_uuid}`, filtered);
+    // Index by root for fast tree queries
+    await addToIndex(tx, `root:${branch.root_uuid}`, branch.uuid);
+    return true;
 }
 
 /**
- * Recursively delete a branch and all its children
+ * Collect a branch and all of its descendants, parents before children
+ * @param {Object} tx Storage transaction
+ * @param {Object} branch Top branch of the subtree
+ * @returns {Promise<Object[]>} Branches in the subtree
+ */
+async function collectSubtree(tx, branch) {
+    const subtree = [branch];
+    const seen = new Set([branch.uuid]);
+    for (let i = 0; i < subtree.length; i++) {
+        for (const child of await findChildren(tx, subtree[i].uuid)) {
+            if (seen.has(child.uuid)) continue;
+            seen.add(child.uuid);
+            subtree.push(child);
+        }
+    }
+    return subtree;
+}
+
+/**
+ * Check whether giving a branch a parent would make it its own ancestor
+ * @param {Object} tx Storage transaction
+ * @param {string} uuid UUID of the branch getting a parent
+ * @param {string} parentUuid UUID of the new parent
+ * @returns {Promise<boolean>} True if the branch is the parent or one of its ancestors
+ */
+async function wouldCreateCycle(tx, uuid, parentUuid) {
+    // Walk up from the new parent; meeting the branch means a cycle
+    const visited = new Set();
+    let currentUuid = parentUuid;
+    while (currentUuid && !visited.has(currentUuid)) {
+        if (currentUuid === uuid) return true;
+        visited.add(currentUuid);
+        const current = await tx.getItem(`branch:${currentUuid}`);
+        currentUuid = current?.parent_uuid;
+    }
+    return false;
+}
+
+/**
+ * Move a branch with its subtree under a new parent, or detach it into its own root.
+ * root_uuid is rewritten on every moved branch and root indices are updated together.
+ * @param {Object} tx Storage transaction
+ * @param {string} uuid UUID of the branch to move
+ * @param {{parentUuid: string|null, branchPoint?: *}} options New parent (null to detach)
+ *        and optional new branch_point for the moved branch
+ * @returns {Promise<Object>} { branch, moved } on success, or { error, status, code }
+ */
+async function moveSubtree(tx, uuid, { parentUuid, branchPoint }) {
+    const branch = await tx.getItem(`branch:${uuid}`);
+    if (!branch) {
+        return { error: 'Branch not found', status: 404, code: 'BRANCH_NOT_FOUND' };
+    }
+
+    let newRootUuid = uuid;
+    if (parentUuid) {
+        const parent = await tx.getItem(`branch:${parentUuid}`);
+        if (!parent) {
+            return { error: 'Parent branch not found', status: 404, code: 'PARENT_NOT_FOUND' };
+        }
+        if (parent.character_id !== branch.character_id) {
+            return { error: 'Cannot move a branch under another character\'s branch', status: 400, code: 'CHARACTER_MISMATCH' };
+        }
+
+        if (await wouldCreateCycle(tx, uuid, parentUuid)) {
+            return { error: 'Cannot move a branch under itself or one of its descendants', status: 400, code: 'CYCLE_DETECTED' };
+        }
+
+        newRootUuid = parent.root_uuid;
+    }
+
+    const subtree = await collectSubtree(tx, branch);
+    const oldRootUuid = branch.root_uuid;
+
+    for (const member of subtree) {
+        if (member.root_uuid !== newRootUuid) {
+            await removeFromIndex(tx, `root:${member.root_uuid}`, member.uuid);
+            await addToIndex(tx, `root:${newRootUuid}`, member.uuid);
+            member.root_uuid = newRootUuid;
+        }
+    }
+
+    branch.parent_uuid = parentUuid;
+    if (branchPoint !== undefined) {
+        branch.branch_point = branchPoint;
+    }
+
+    for (const member of subtree) {
+        await tx.setItem(`branch:${member.uuid}`, member);
+    }
+
+    console.log(`[Chat Branches] Moved ${subtree.length} branches from root ${oldRootUuid} to ${newRootUuid}`);
+    return { branch, moved: subtree.length };
+}
+
+/**
+ * Delete a single branch, update indices and move it to the trash
+ * @param {Object} tx Storage transaction
  * @param {string} uuid UUID of branch to delete
  * @param {Object} branch Branch object
+ * @param {string} deletionId Groups branches deleted by the same operation
  */
-async function deleteRecursive(uuid, branch) {
-    // Get all branches in this root to find children
-    const rootBranches = await storage.getItem(`root:${branch.root_uuid}`) || [];
-    
-    // Find children
-    const children = [];
-    for (const childUuid of rootBranches) {
-        const childBranch = await storage.getItem(`branch:${childUuid}`);
-        if (childBranch && childBranch.parent_uuid === uuid) {
-            children.push({ uuid: childUuid, branch: childBranch });
+async function deleteBranch(tx, uuid, branch, deletionId) {
+    // Remove from branch storage
+    await tx.removeItem(`branch:${uuid}`);
+
+    // Remember which indices the branch was in so a restore can put it back
+    const indices = [];
+    const indexKeys = [`root:${branch.root_uuid}`];
+    if (branch.character_id) indexKeys.unshift(`char:${branch.character_id}`);
+
+    for (const key of indexKeys) {
+        const uuids = await tx.getItem(key) || [];
+        if (uuids.includes(uuid)) {
+            indices.push(key);
+            await removeFromIndex(tx, key, uuid);
         }
     }
 
+    await tx.setItem(`trash:${uuid}`, {
+        branch,
+        indices,
+        deletion_id: deletionId,
+        deleted_at: Date.now()
+    });
+    await addToIndex(tx, 'trash', uuid);
+}
+
+/**
+ * Recursively delete a branch and all its children
+ * @param {Object} tx Storage transaction
+ * @param {string} uuid UUID of branch to delete
+ * @param {Object} branch Branch object
+ * @param {string} deletionId Groups branches deleted by the same operation
+ */
+async function deleteRecursive(tx, uuid, branch, deletionId) {
     // Recursively delete children
-    for (const child of children) {
-        await deleteRecursive(child.uuid, child.branch);
+    for (const child of await findChildren(tx, uuid)) {
+        await deleteRecursive(tx, child.uuid, child, deletionId);
     }
 
     // Delete this branch
-    await deleteBranch(uuid, branch);
+    await deleteBranch(tx, uuid, branch, deletionId);
+}
+
+/**
+ * Restore a branch from the trash together with the trashed descendants that were
+ * deleted in the same operation (same deletion_id). Descendants trashed separately,
+ * before or after, stay in the trash. A branch whose parent is gone is re-parented to its nearest live ancestor,
+ * or becomes a new root if none is left.
+ * @param {Object} tx Storage transaction
+ * @param {string} uuid UUID of the trashed branch
+ * @returns {Promise<Object|null>} Restore summary, or null if not in the trash
+ */
+async function restoreFromTrash(tx, uuid) {
+    const entry = await tx.getItem(`trash:${uuid}`);
+    if (!entry) {
+        return null;
+    }
+
+    // Load the whole trash to find deleted descendants
+    const trashUuids = await tx.getItem('trash') || [];
+    const entries = new Map();
+    for (const trashUuid of trashUuids) {
+        const trashEntry = await tx.getItem(`trash:${trashUuid}`);
+        if (trashEntry) entries.set(trashUuid, trashEntry);
+    }
+
+    const childrenOf = new Map();
+    for (const [trashUuid, trashEntry] of entries) {
+        const parentUuid = trashEntry.branch.parent_uuid;
+        if (!childrenOf.has(parentUuid)) childrenOf.set(parentUuid, []);
+        childrenOf.get(parentUuid).push(trashUuid);
+    }
+
+    // Find the nearest ancestor that still exists, walking through trashed parents
+    let parentUuid = entry.branch.parent_uuid;
+    const visited = new Set([uuid]);
+    while (parentUuid && !await tx.getItem(`branch:${parentUuid}`)) {
+        const trashedParent = entries.get(parentUuid);
+        if (!trashedParent || visited.has(parentUuid)) {
+            parentUuid = null;
+            break;
+        }
+        visited.add(parentUuid);
+        parentUuid = trashedParent.branch.parent_uuid;
+    }
+
+    const reparented = parentUuid !== entry.branch.parent_uuid;
+    let rootUuid = entry.branch.root_uuid;
+    if (reparented) {
+        const parent = parentUuid ? await tx.getItem(`branch:${parentUuid}`) : null;
+        rootUuid = parent ? parent.root_uuid : uuid;
+    }
+
+    const restored = [];
+    const skipped = [];
+    const queue = [{ uuid, parent_uuid: parentUuid }];
+
+    while (queue.length > 0) {
+        const item = queue.shift();
+        const trashEntry = entries.get(item.uuid);
+
+        // A branch re-registered since deletion wins over the trashed copy
+        if (await tx.getItem(`branch:${item.uuid}`)) {
+            skipped.push(item.uuid);
+            continue;
+        }
+
+        const branch = {
+            ...trashEntry.branch,
+            parent_uuid: item.parent_uuid,
+            root_uuid: rootUuid
+        };
+
+        await tx.setItem(`branch:${item.uuid}`, branch);
+        if (branch.character_id) {
+            await addToIndex(tx, `char:${branch.character_id}`, item.uuid);
+        }
+        await addToIndex(tx, `root:${branch.root_uuid}`, item.uuid);
+
+        await tx.removeItem(`trash:${item.uuid}`);
+        await removeFromIndex(tx, 'trash', item.uuid);
+        restored.push(item.uuid);
+
+        for (const childUuid of childrenOf.get(item.uuid) || []) {
+            if (entries.get(childUuid).deletion_id !== entry.deletion_id) continue;
+            queue.push({ uuid: childUuid, parent_uuid: item.uuid });
+        }
+    }
+
+    return {
+        restored,
+        skipped,
+        parent_uuid: parentUuid,
+        root_uuid: rootUuid,
+        reparented
+    };
+}
+
+/**
+ * Permanently remove trash entries older than the retention period
+ * @param {Object} storage User storage instance
+ * @param {number} retentionDays Days to keep deleted branches
+ * @returns {Promise<number>} Number of entries purged
+ */
+async function purgeExpiredTrash(storage, retentionDays) {
+    const cutoff = Date.now() - retentionDays * 24 * 60 * 60 * 1000;
+
+    return runTransaction(storage, ['trash'], async (tx) => {
+        const trashUuids = await tx.getItem('trash') || [];
+        const kept = [];
+
+        for (const uuid of trashUuids) {
+            const entry = await tx.getItem(`trash:${uuid}`);
+            if (entry && entry.deleted_at >= cutoff) {
+                kept.push(uuid);
+            } else {
+                await tx.removeItem(`trash:${uuid}`);
+            }
+        }
+
+        if (kept.length !== trashUuids.length) {
+            await tx.setItem('trash', kept);
+        }
+        return trashUuids.length - kept.length;
+    });
+}
+
+/**
+ * Purge expired trash for every open user store
+ * @returns {Promise<void>}
+ */
+async function purgeAllExpiredTrash() {
+    for (const [handle, ready] of userStorages) {
+        try {
+            const purged = await purgeExpiredTrash(await ready, config.trashRetentionDays);
+            if (purged > 0) {
+                console.log(`[Chat Branches] Purged ${purged} expired trash entries for user:`, handle);
+            }
+        } catch (error) {
+            console.error('[Chat Branches] Error purging trash for user:', handle, error);
+        }
+    }
+}
+
+/**
+ * Trim history past historyRetentionDays for every open user store
+ * @returns {Promise<void>}
+ */
+async function trimAllHistory() {
+    const cutoff = Date.now() - config.historyRetentionDays * 24 * 60 * 60 * 1000;
+    for (const handle of userStorages.keys()) {
+        try {
+            const dropped = await trimHistory(handle, cutoff);
+            if (dropped > 0) {
+                console.log(`[Chat Branches] Trimmed ${dropped} expired history entries for user:`, handle);
+            }
+        } catch (error) {
+            console.error('[Chat Branches] Error trimming history for user:', handle, error);
+        }
+    }
+}
+
+/**
+ * Validate pruning rules and fill in their defaults
+ * @param {Object[]} list Rules from config.json or a request
+ * @returns {Object[]} Normalized rules
+ * @throws {ApiError} INVALID_FIELD naming the bad rule and field
+ */
+function parsePruneRules(list) {
+    if (!Array.isArray(list)) {
+        throw new ApiError(400, 'INVALID_FIELD', 'rules must be an array', { field: 'rules' });
+    }
+
+    return list.map(parsePruneRule);
+}
+
+/**
+ * Validate one pruning rule and fill in its defaults
+ * @param {Object} rule Rule to check
+ * @param {number} i Position in the rule list, for error messages
+ * @returns {Object} Normalized rule
+ * @throws {ApiError} INVALID_FIELD naming the bad rule and field
+ */
+function parsePruneRule(rule, i) {
+    if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+        throw new ApiError(400, 'INVALID_FIELD', `rules[${i}] must be an object`, { field: `rules[${i}]` });
+    }
+    try {
+        validateRequest({ body: rule }, { body: PRUNE_RULE_FIELDS });
+    } catch (error) {
+        if (!(error instanceof ApiError)) throw error;
+        throw new ApiError(400, error.code, `rules[${i}]: ${error.message}`, { field: `rules[${i}].${error.details.field}` });
+    }
+
+    const stale = rule.type === 'stale_leaf';
+    return {
+        type: rule.type,
+        character_id: rule.character_id ?? null,
+        character_name: rule.character_name ?? null,
+        older_than_days: rule.older_than_days ?? (stale ? PRUNE_STALE_DAYS : PRUNE_GRACE_DAYS),
+        ...(stale && { min_messages: rule.min_messages ?? PRUNE_MIN_MESSAGES })
+    };
+}
+
+/**
+ * Validate the pruning rules of config.json. Invalid rules are logged and
+ * dropped, so a typo in one rule doesn't keep the plugin from loading.
+ * @param {*} list pruneRules from config.json
+ * @returns {Object[]} Normalized valid rules
+ */
+function parseConfigPruneRules(list) {
+    if (!Array.isArray(list)) {
+        console.warn('[Chat Branches] Ignoring pruneRules in config.json: it must be an array');
+        return [];
+    }
+
+    const pruneRules = [];
+    list.forEach((rule, i) => {
+        try {
+            pruneRules.push(parsePruneRule(rule, i));
+        } catch (error) {
+            if (!(error instanceof ApiError)) throw error;
+            console.warn('[Chat Branches] Ignoring invalid rule in config.json pruneRules:', error.message);
+        }
+    });
+    return pruneRules;
+}
+
+/**
+ * Find the branches matched by pruning rules. stale_leaf and missing_chat only take leaves
+ * (never roots), so pruning never orphans a live branch; orphan takes the orphan's whole subtree.
+ * Rules needing chat files skip characters whose chats folder doesn't exist, so a
+ * character_id that isn't the folder name can't make every chat look missing.
+ * @param {Object} storage User storage instance
+ * @param {string} handle User handle
+ * @param {string} chatsDir User chats directory
+ * @param {Object[]} pruneRules Normalized rules
+ * @param {string|null} characterId Only consider this character's branches
+ * @returns {Promise<{candidates: Object[], skipped_folders: string[]}>} Branches to prune and why
+ */
+async function planPrune(storage, handle, chatsDir, pruneRules, characterId) {
+    const cache = getBranchCache(storage);
+    const now = Date.now();
+
+    // Message counts per chats folder, null when the folder is missing or invalid
+    const folderCounts = new Map();
+    const getCounts = async (folder) => {
+        if (!folderCounts.has(folder)) {
+            let counts = null;
+            try {
+                if ((await fs.stat(resolveInside(chatsDir, folder))).isDirectory()) {
+                    counts = await getChatMessageCounts(storage, handle, chatsDir, folder);
+                }
+            } catch (error) {
+                if (error.code !== 'ENOENT' && !(error instanceof ApiError)) throw error;
+            }
+            folderCounts.set(folder, counts);
+        }
+        return folderCounts.get(folder);
+    };
+
+    const candidates = new Map();
+    for (const [ruleIndex, rule] of pruneRules.entries()) {
+        for (const branch of cache.branches.values()) {
+            if (candidates.has(branch.uuid)) continue;
+            if (characterId && branch.character_id !== characterId) continue;
+            if (rule.character_id && branch.character_id !== rule.character_id) continue;
+            if (now - (Number(branch.created_at) || 0) < rule.older_than_days * DAY_MS) continue;
+
+            let reason = null;
+            let messageCount;
+            if (rule.type === 'orphan') {
+                if (branch.parent_uuid && !cache.branches.has(branch.parent_uuid)) {
+                    reason = `parent ${branch.parent_uuid} no longer exists`;
+                }
+            } else {
+                if (!branch.parent_uuid || cache.children.get(branch.uuid)?.size) continue;
+
+                const counts = await getCounts(rule.character_name || branch.character_id || '');
+                if (!counts) continue;
+
+                messageCount = getBranchMessageCount(counts, branch);
+                if (rule.type === 'missing_chat' && messageCount === null) {
+                    reason = 'chat file no longer exists';
+                } else if (rule.type === 'stale_leaf' && messageCount !== null) {
+                    // Messages up to and including branch_point came from the parent
+                    const branchPoint = Number(branch.branch_point ?? NaN);
+                    const added = Math.max(messageCount - (Number.isInteger(branchPoint) ? branchPoint + 1 : 0), 0);
+                    if (added < rule.min_messages) {
+                        reason = `${added} message(s) after branch point`;
+                    }
+                }
+            }
+
+            if (reason) {
+                candidates.set(branch.uuid, {
+                    uuid: branch.uuid,
+                    character_id: branch.character_id,
+                    chat_name: branch.chat_name,
+                    created_at: branch.created_at,
+                    rule: ruleIndex,
+                    type: rule.type,
+                    reason,
+                    ...(messageCount !== undefined && { message_count: messageCount }),
+                    cascade: rule.type === 'orphan'
+                });
+            }
+        }
+    }
+
+    return {
+        candidates: [...candidates.values()],
+        skipped_folders: [...folderCounts].filter(([, counts]) => counts === null).map(([folder]) => folder)
+    };
+}
+
+/**
+ * Move planned prune candidates to the trash in one transaction, as one deletion.
+ * Leaves that gained children since planning are left alone.
+ * @param {Object} storage User storage instance
+ * @param {Object[]} candidates Result of planPrune()
+ * @returns {Promise<number>} Number of branches moved to the trash
+ */
+async function applyPrune(storage, candidates) {
+    if (candidates.length === 0) return 0;
+
+    return runTransaction(storage, candidates.map(candidate => `branch:${candidate.uuid}`), async (tx) => {
+        const deletionId = crypto.randomUUID();
+
+        for (const candidate of candidates) {
+            const branch = await tx.getItem(`branch:${candidate.uuid}`);
+            if (!branch) continue;
+
+            if (candidate.cascade) {
+                await deleteRecursive(tx, candidate.uuid, branch, deletionId);
+            } else if ((await findChildren(tx, candidate.uuid)).length === 0) {
+                await deleteBranch(tx, candidate.uuid, branch, deletionId);
+            }
+        }
+
+        // Every branch key this transaction wrote is a removal
+        return tx.pendingKeys().filter(key => key.startsWith('branch:')).length;
+    });
+}
+
+/**
+ * Apply the configured pruning rules for every open user store
+ * @returns {Promise<void>}
+ */
+async function pruneAllUsers() {
+    if (!globalThis.DATA_ROOT) {
+        console.warn('[Chat Branches] Data root unknown, skipping scheduled pruning');
+        return;
+    }
+
+    for (const [handle, ready] of userStorages) {
+        try {
+            const storage = await ready;
+            const chatsDir = path.join(globalThis.DATA_ROOT, handle, 'chats');
+            const plan = await planPrune(storage, handle, chatsDir, config.pruneRules, null);
+            const pruned = await applyPrune(storage, plan.candidates);
+            if (pruned > 0) {
+                console.log(`[Chat Branches] Pruned ${pruned} branches for user:`, handle);
+            }
+        } catch (error) {
+            console.error('[Chat Branches] Error pruning branches for user:', handle, error);
+        }
+    }
 }
 
 /**
  * Delete all branch data for a character
+ * @param {Object} storage User storage instance
  * @param {string} characterId Character ID to delete
  * @returns {Promise<number>} Number of branches deleted
  */
-async function deleteCharacterData(characterId) {
-    // Get all branch UUIDs for this character
-    let branchUuids = await storage.getItem(`char:${characterId}`) || [];
+async function deleteCharacterData(storage, characterId) {
+    return runTransaction(storage, [`char:${characterId}`], async (tx) => {
+        // Get all branch UUIDs for this character
+        let branchUuids = await tx.getItem(`char:${characterId}`) || [];
 
-    // Deduplicate UUIDs
-    branchUuids = [...new Set(branchUuids)];
+        // Deduplicate UUIDs
+        branchUuids = [...new Set(branchUuids)];
 
-    if (branchUuids.length === 0) {
-        console.log('[Chat Branches] No branches found for character:', characterId);
-        return 0;
-    }
+        if (branchUuids.length === 0) {
+            console.log('[Chat Branches] No branches found for character:', characterId);
+            return 0;
+        }
 
-    console.log(`[Chat Branches] Deleting ${branchUuids.length} branches for character:`, characterId);
+        console.log(`[Chat Branches] Deleting ${branchUuids.length} branches for character:`, characterId);
 
-    // Delete each branch and its data
-    let deletedCount = 0;
-    for (const uuid of branchUuids) {
-        const branch = await storage.getItem(`branch:${uuid}`);
-        if (branch) {
-            await deleteBranch(uuid, branch);
-            deletedCount++;
+        // Delete each branch and its data
+        const deletionId = crypto.randomUUID();
+        let deletedCount = 0;
+        for (const uuid of branchUuids) {
+            const branch = await tx.getItem(`branch:${uuid}`);
+            if (branch) {
+                await deleteBranch(tx, uuid, branch, deletionId);
+                deletedCount++;
+            }
         }
-    }
 
-    // Remove the character index itself
-    await storage.removeItem(`char:${characterId}`);
+        // Remove the character index itself
+        await tx.removeItem(`char:${characterId}`);
+        await tx.removeItem(`prints:${characterId}`);
 
-    return deletedCount;
+        return deletedCount;
+    });
 }
 
 /**
@@ -677,7 +5421,25 @@ async function deleteCharacterData(characterId) {
 async function exit() {
     console.log('[Chat Branches] Shutting down plugin...');
     if (initialized) {
-        // node-persist handles cleanup automatically
+        clearInterval(trashPurgeInterval);
+        trashPurgeInterval = null;
+        clearInterval(pruneInterval);
+        pruneInterval = null;
+        clearInterval(historyTrimInterval);
+        historyTrimInterval = null;
+
+        for (const ready of userStorages.values()) {
+            try {
+                const storage = await ready;
+                await storage.close?.();
+            } catch (error) {
+                console.error('[Chat Branches] Error closing storage:', error);
+            }
+        }
+        userStorages.clear();
+        resetTokens.clear();
+        clearSearchIndices();
+        clearHistoryQueues();
         initialized = false;
     }
 }
@@ -0,0 +1,51 @@
+/**
+ * Copy node-persist branch data into SQLite databases
+ *
+ * Usage (from the plugin folder, Node.js 22.13+ or 23.4+):
+ *   node migrate-to-sqlite.js [--force]
+ * On Node.js 22.5 to 22.12, run it as node --experimental-sqlite migrate-to-sqlite.js.
+ *
+ * Every user store in data/users/<handle> is copied to data/sqlite/<handle>.sqlite.
+ * Existing databases are skipped unless --force is given. The node-persist data
+ * is left in place, so switching storageBackend back keeps working.
+ */
+
+const fs = require('fs').promises;
+const { SQLITE_DIR, createBackend, listUserHandles, copyNodePersistStore } = require('./backends');
+
+async function main() {
+    const force = process.argv.includes('--force');
+    const handles = await listUserHandles('node-persist');
+    const existing = new Set(await listUserHandles('sqlite'));
+
+    if (handles.length === 0) {
+        console.log('[Chat Branches] No node-persist data found, nothing to migrate');
+        return;
+    }
+
+    await fs.mkdir(SQLITE_DIR, { recursive: true });
+
+    for (const handle of handles) {
+        if (existing.has(handle) && !force) {
+            console.log(`[Chat Branches] SQLite database already exists for ${handle}, skipping (use --force to overwrite)`);
+            continue;
+        }
+
+        const backend = createBackend('sqlite', handle);
+        await backend.init();
+        try {
+            await backend.clear();
+            const copied = await copyNodePersistStore(handle, backend);
+            console.log(`[Chat Branches] Copied ${copied} records for ${handle}`);
+        } finally {
+            await backend.close();
+        }
+    }
+
+    console.log('[Chat Branches] Done. Set "storageBackend": "sqlite" in config.json to use the new databases');
+}
+
+main().catch(error => {
+    console.error('[Chat Branches] Migration failed:', error);
+    process.exitCode = 1;
+});
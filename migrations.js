@@ -0,0 +1,108 @@
+/**
+ * Chat Branches schema migrations
+ *
+ * Each user store records the schema version it was last migrated to under
+ * SCHEMA_VERSION_KEY. Steps run in order at startup, each in its own transaction
+ * that also bumps the version, so an interrupted run resumes at the failed step.
+ * Steps must be idempotent: they only touch records that still need the change.
+ */
+
+const SCHEMA_VERSION_KEY = 'schema:version';
+
+/**
+ * Strip a trailing .jsonl from chat names. Older clients sent file names, and
+ * every reader had to clean them up; chat_name indices follow at commit.
+ * @param {Object} tx Storage transaction
+ * @param {{branches: Map<string, Object>}} records Current records (see readAllRecords)
+ * @returns {Promise<number>} Records changed
+ */
+async function stripChatNameExtensions(tx, { branches }) {
+    let changed = 0;
+    for (const [uuid, branch] of branches) {
+        if (typeof branch.chat_name !== 'string' || !/\.jsonl$/i.test(branch.chat_name)) continue;
+
+        await tx.setItem(`branch:${uuid}`, { ...branch, chat_name: branch.chat_name.replace(/\.jsonl$/i, '') });
+        changed++;
+    }
+    return changed;
+}
+
+/**
+ * Give every branch a numeric created_at. Numeric strings and dates are converted;
+ * branches with nothing usable take their parent's time, so they still sort after it,
+ * or the current time if they have no dated ancestor.
+ * @param {Object} tx Storage transaction
+ * @param {{branches: Map<string, Object>}} records Current records (see readAllRecords)
+ * @returns {Promise<number>} Records changed
+ */
+async function fillCreatedAt(tx, { branches }) {
+    const now = Date.now();
+    const resolved = new Map();
+
+    const parseTime = (value) => {
+        if (typeof value === 'number') return Number.isFinite(value) && value > 0 ? value : null;
+        if (typeof value !== 'string' || !value.trim()) return null;
+        const time = /^\d+$/.test(value.trim()) ? Number(value) : Date.parse(value);
+        return Number.isFinite(time) && time > 0 ? time : null;
+    };
+
+    const resolve = (uuid, visiting = new Set()) => {
+        if (resolved.has(uuid)) return resolved.get(uuid);
+        const branch = branches.get(uuid);
+        if (!branch || visiting.has(uuid)) return null;
+
+        visiting.add(uuid);
+        const time = parseTime(branch.created_at) ?? (branch.parent_uuid ? resolve(branch.parent_uuid, visiting) : null);
+        resolved.set(uuid, time);
+        return time;
+    };
+
+    let changed = 0;
+    for (const [uuid, branch] of branches) {
+        const createdAt = resolve(uuid) ?? now;
+        if (branch.created_at === createdAt) continue;
+
+        await tx.setItem(`branch:${uuid}`, { ...branch, created_at: createdAt });
+        changed++;
+    }
+    return changed;
+}
+
+/**
+ * Remove duplicate and non-string entries from the char:, root: and trash index arrays,
+ * which older versions could write and readers had to dedupe
+ * @param {Object} tx Storage transaction
+ * @param {{charIndices: Map<string, string[]>, rootIndices: Map<string, string[]>}} records
+ *        Current records (see readAllRecords)
+ * @returns {Promise<number>} Indices changed
+ */
+async function dedupeIndices(tx, { charIndices, rootIndices }) {
+    const indices = new Map([...charIndices, ...rootIndices]);
+    indices.set('trash', await tx.getItem('trash') || []);
+
+    let changed = 0;
+    for (const [key, uuids] of indices) {
+        const list = Array.isArray(uuids) ? uuids : [];
+        const cleaned = [...new Set(list.filter(uuid => typeof uuid === 'string' && uuid))];
+        if (Array.isArray(uuids) && cleaned.length === uuids.length) continue;
+
+        await tx.setItem(key, cleaned);
+        changed++;
+    }
+    return changed;
+}
+
+// Ordered migration steps; append new ones with the next version, never renumber
+const MIGRATIONS = [
+    { version: 1, name: 'strip-chat-name-extensions', migrate: stripChatNameExtensions },
+    { version: 2, name: 'fill-created-at', migrate: fillCreatedAt },
+    { version: 3, name: 'dedupe-indices', migrate: dedupeIndices }
+];
+
+const SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+module.exports = {
+    SCHEMA_VERSION_KEY,
+    SCHEMA_VERSION,
+    MIGRATIONS
+};
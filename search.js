@@ -0,0 +1,239 @@
+/**
+ * Chat Branches full-text search index
+ *
+ * One index file per user in data/search/<handle>.json. For every chat file it
+ * keeps the file's size and mtime plus an inverted index of the words in each
+ * message, so a search only re-reads chat files that changed since the last one.
+ */
+
+const path = require('path');
+const fs = require('fs').promises;
+const { createReadStream } = require('fs');
+const readline = require('readline');
+const { DATA_DIR } = require('./backends');
+
+const SEARCH_DIR = path.join(DATA_DIR, 'search');
+const SEARCH_INDEX_VERSION = 1;
+
+// handle -> Promise<index>
+const searchIndices = new Map();
+
+/**
+ * Split text into lowercase words
+ * @param {string} text Text to split
+ * @returns {string[]} Words
+ */
+function tokenize(text) {
+    return String(text ?? '')
+        .normalize('NFKC')
+        .toLowerCase()
+        .split(/[^\p{L}\p{N}]+/u)
+        .filter(Boolean);
+}
+
+/**
+ * Get the search index of a user, loading it from disk the first time
+ * @param {string} handle Sanitized user handle
+ * @returns {Promise<Object>} Search index
+ */
+function getSearchIndex(handle) {
+    if (!searchIndices.has(handle)) {
+        searchIndices.set(handle, loadSearchIndex(path.join(SEARCH_DIR, `${handle}.json`)));
+    }
+    return searchIndices.get(handle);
+}
+
+/**
+ * Read an index file, starting empty if it is missing, unreadable or outdated
+ * @param {string} file Index file
+ * @returns {Promise<Object>} Search index
+ */
+async function loadSearchIndex(file) {
+    const index = { file, files: {}, queue: Promise.resolve() };
+
+    try {
+        const saved = JSON.parse(await fs.readFile(file, 'utf8'));
+        if (saved?.version === SEARCH_INDEX_VERSION && saved.files) {
+            index.files = saved.files;
+        }
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            console.warn('[Chat Branches] Rebuilding unreadable search index:', error.message);
+        }
+    }
+
+    return index;
+}
+
+/**
+ * Write an index file through a temporary file so a crash never leaves half of it
+ * @param {Object} index Search index
+ * @returns {Promise<void>}
+ */
+async function saveSearchIndex(index) {
+    await fs.mkdir(path.dirname(index.file), { recursive: true });
+    const temp = `${index.file}.tmp`;
+    await fs.writeFile(temp, JSON.stringify({ version: SEARCH_INDEX_VERSION, files: index.files }), 'utf8');
+    await fs.rename(temp, index.file);
+}
+
+/**
+ * Index one chat file: its header's branch UUID and, per word, the messages containing it
+ * @param {string} filePath Path to the chat file
+ * @param {string} uuidField Chat metadata field holding the branch UUID
+ * @returns {Promise<{uuid: string|null, count: number, postings: Object<string, number[]>}>}
+ */
+async function indexChatFile(filePath, uuidField) {
+    // No prototype, so words like "constructor" or "__proto__" are ordinary keys
+    const postings = Object.create(null);
+    let uuid = null;
+    let lineNumber = 0;
+
+    const lines = readline.createInterface({ input: createReadStream(filePath, { encoding: 'utf8' }), crlfDelay: Infinity });
+    for await (const line of lines) {
+        if (!line.trim()) continue;
+
+        let parsed;
+        try {
+            parsed = JSON.parse(line);
+        } catch {
+            // Keep the numbering in step with readChatFile, which skips bad lines too
+            continue;
+        }
+
+        if (lineNumber++ === 0) {
+            uuid = parsed?.chat_metadata?.[uuidField] || null;
+            continue;
+        }
+
+        const messageIndex = lineNumber - 2;
+        for (const token of new Set(tokenize(parsed?.mes))) {
+            (postings[token] ||= []).push(messageIndex);
+        }
+    }
+
+    return { uuid, count: Math.max(lineNumber - 1, 0), postings };
+}
+
+/**
+ * Bring the index up to date for the chat files in some character folders.
+ * Only files whose size or mtime changed are read again; files that are gone are dropped.
+ * @param {Object} index Search index
+ * @param {string} chatsDir User chats directory
+ * @param {string[]} folders Character folder names to refresh
+ * @param {string} uuidField Chat metadata field holding the branch UUID
+ * @returns {Promise<string[]>} Index keys ("<folder>/<file>") of the files in those folders
+ */
+function refreshSearchIndex(index, chatsDir, folders, uuidField) {
+    // Searches for the same user share one index, so refreshes run one at a time
+    const refresh = index.queue.then(async () => {
+        const present = [];
+        let changed = false;
+
+        for (const folder of folders) {
+            const folderDir = path.join(chatsDir, folder);
+            let entries;
+            try {
+                entries = await fs.readdir(folderDir, { withFileTypes: true });
+            } catch (error) {
+                if (error.code === 'ENOENT' || error.code === 'ENOTDIR') entries = [];
+                else throw error;
+            }
+
+            const seen = new Set();
+            for (const entry of entries) {
+                if (!entry.isFile() || !/\.jsonl$/i.test(entry.name)) continue;
+
+                const key = `${folder}/${entry.name}`;
+                const filePath = path.join(folderDir, entry.name);
+                seen.add(key);
+
+                let stat;
+                try {
+                    stat = await fs.stat(filePath);
+                } catch (error) {
+                    if (error.code === 'ENOENT') continue;
+                    throw error;
+                }
+
+                const cached = Object.hasOwn(index.files, key) ? index.files[key] : null;
+                if (!cached || cached.size !== stat.size || cached.mtimeMs !== stat.mtimeMs) {
+                    try {
+                        index.files[key] = { size: stat.size, mtimeMs: stat.mtimeMs, ...await indexChatFile(filePath, uuidField) };
+                    } catch (error) {
+                        if (error.code !== 'ENOENT') throw error;
+                        delete index.files[key];
+                        continue;
+                    }
+                    changed = true;
+                }
+                present.push(key);
+            }
+
+            for (const key of Object.keys(index.files)) {
+                if (key.startsWith(`${folder}/`) && !seen.has(key)) {
+                    delete index.files[key];
+                    changed = true;
+                }
+            }
+        }
+
+        if (changed) {
+            await saveSearchIndex(index);
+        }
+        return present;
+    });
+
+    index.queue = refresh.catch(() => {});
+    return refresh;
+}
+
+/**
+ * Find the messages containing every word of a query
+ * @param {Object} index Search index
+ * @param {string[]} keys Index keys of the files to search
+ * @param {string[]} tokens Query words
+ * @returns {{key: string, file: Object, messages: number[]}[]} Matching message indices per file
+ */
+function querySearchIndex(index, keys, tokens) {
+    const matches = [];
+
+    for (const key of keys) {
+        const file = Object.hasOwn(index.files, key) ? index.files[key] : null;
+        if (!file) continue;
+
+        let messages = null;
+        for (const token of new Set(tokens)) {
+            const posting = Object.hasOwn(file.postings, token) ? file.postings[token] : [];
+            if (messages) {
+                const found = new Set(posting);
+                messages = messages.filter(i => found.has(i));
+            } else {
+                messages = posting.slice();
+            }
+            if (messages.length === 0) break;
+        }
+
+        if (messages?.length) {
+            matches.push({ key, file, messages });
+        }
+    }
+
+    return matches;
+}
+
+/**
+ * Forget the loaded indices (they stay on disk)
+ */
+function clearSearchIndices() {
+    searchIndices.clear();
+}
+
+module.exports = {
+    SEARCH_DIR,
+    tokenize,
+    getSearchIndex,
+    refreshSearchIndex,
+    querySearchIndex,
+    clearSearchIndices
+};
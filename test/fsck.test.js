@@ -0,0 +1,89 @@
+/**
+ * Deletes must leave a store that passes /fsck: an index emptied by a delete
+ * is removed rather than kept as an empty array.
+ *
+ * Run from the plugin folder inside SillyTavern (express and node-persist
+ * come from SillyTavern's node_modules):
+ *   node --test test/
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const fs = require('fs');
+const express = require('express');
+
+const PLUGIN_DIR = path.join(__dirname, '..');
+
+let workDir;
+let plugin;
+let server;
+let baseUrl;
+
+/**
+ * Call a plugin route
+ * @param {string} method HTTP method
+ * @param {string} url Route path
+ * @param {Object} [body] JSON body
+ * @returns {Promise<Object>} Parsed response body
+ */
+async function api(method, url, body) {
+    const response = await fetch(baseUrl + url, {
+        method,
+        headers: { 'Content-Type': 'application/json' },
+        body: body ? JSON.stringify(body) : undefined
+    });
+    return response.json();
+}
+
+before(async () => {
+    // The plugin keeps its data next to index.js, so run a copy in a scratch folder
+    workDir = fs.mkdtempSync(path.join(__dirname, 'tmp-'));
+    for (const file of fs.readdirSync(PLUGIN_DIR)) {
+        if (file.endsWith('.js')) {
+            fs.copyFileSync(path.join(PLUGIN_DIR, file), path.join(workDir, file));
+        }
+    }
+
+    plugin = require(path.join(workDir, 'index.js'));
+    const router = express.Router();
+    await plugin.init(router);
+
+    const app = express();
+    app.use(express.json());
+    app.use((req, res, next) => {
+        req.user = { profile: { handle: 'test-user' }, directories: { chats: path.join(workDir, 'chats') } };
+        next();
+    });
+    app.use(router);
+
+    await new Promise((resolve) => {
+        server = app.listen(0, '127.0.0.1', resolve);
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+    await plugin.exit();
+    await new Promise(resolve => server.close(resolve));
+    fs.rmSync(workDir, { recursive: true, force: true });
+});
+
+test('deleting the only branch of a root leaves no empty indices', async () => {
+    await api('POST', '/branch', { uuid: 'x1', root_uuid: 'x1', character_id: 'charZ', chat_name: 'x1' });
+    assert.strictEqual((await api('DELETE', '/branch/x1')).success, true);
+
+    const { report } = await api('GET', '/fsck');
+    assert.deepStrictEqual(report.emptyIndices, []);
+    assert.strictEqual(report.ok, true);
+});
+
+test('deleting a character leaves no empty indices', async () => {
+    await api('POST', '/branch', { uuid: 'k1', root_uuid: 'k1', character_id: 'charK', chat_name: 'k1' });
+    await api('POST', '/branch', { uuid: 'k2', parent_uuid: 'k1', root_uuid: 'k1', character_id: 'charK', chat_name: 'k2' });
+    assert.strictEqual((await api('DELETE', '/character/charK')).success, true);
+
+    const { report } = await api('GET', '/fsck');
+    assert.deepStrictEqual(report.emptyIndices, []);
+    assert.strictEqual(report.ok, true);
+});
@@ -0,0 +1,212 @@
+/**
+ * Chat Branches request validation
+ *
+ * Routes describe their params, query and body with small schemas:
+ *   { body: { uuid: required(rules.id), apply: rules.boolean } }
+ * and validateRequest() throws an ApiError naming the first bad field.
+ * Query values arrive as strings, so numbers and booleans are checked in
+ * their string form there and parsed by the route.
+ */
+
+const path = require('path');
+
+// Longest accepted UUID, character ID or chat name
+const MAX_ID_LENGTH = 256;
+
+// Longest accepted free-form string unless a rule sets maxLength
+const MAX_STRING_LENGTH = 10000;
+
+/**
+ * Error with an HTTP status and a machine-readable code, sent to the client as is
+ */
+class ApiError extends Error {
+    /**
+     * @param {number} status HTTP status
+     * @param {string} code Machine-readable error code, e.g. BRANCH_NOT_FOUND
+     * @param {string} message Human-readable message
+     * @param {Object} [details] Extra fields for the error response
+     */
+    constructor(status, code, message, details = {}) {
+        super(message);
+        this.name = 'ApiError';
+        this.status = status;
+        this.code = code;
+        this.details = details;
+    }
+}
+
+/**
+ * Build the error for one invalid field
+ * @param {string} field Field name
+ * @param {string} message What is wrong with it
+ * @returns {ApiError} 400 INVALID_FIELD error
+ */
+function invalidField(field, message) {
+    return new ApiError(400, 'INVALID_FIELD', message, { field });
+}
+
+/**
+ * Check one value against a rule
+ * @param {*} value Value to check (never undefined)
+ * @param {Object} rule Field rule
+ * @param {boolean} fromQuery Whether the value came from the query string
+ * @returns {string|null} Problem description, or null if the value is fine
+ */
+function checkValue(value, rule, fromQuery) {
+    if (value === null) {
+        return rule.nullable ? null : 'must not be null';
+    }
+    if (fromQuery && typeof value !== 'string') {
+        return 'must be given once';
+    }
+
+    switch (rule.type) {
+        case 'id':
+        case 'name': {
+            if (typeof value !== 'string' || value.length === 0 || value.length > MAX_ID_LENGTH) {
+                return `must be a non-empty string of at most ${MAX_ID_LENGTH} characters`;
+            }
+            if (/[\u0000-\u001f\u007f]/.test(value)) {
+                return 'must not contain control characters';
+            }
+            // Names end up as file or folder names in the chats directory
+            if (rule.type === 'name' && (/[/\\]/.test(value) || value === '.' || value === '..')) {
+                return 'must not contain path separators or be "." or ".."';
+            }
+            return null;
+        }
+        case 'string': {
+            const maxLength = rule.maxLength ?? MAX_STRING_LENGTH;
+            if (typeof value !== 'string' || value.length > maxLength) {
+                return `must be a string of at most ${maxLength} characters`;
+            }
+            return null;
+        }
+        case 'integer': {
+            const number = fromQuery && /^-?\d+$/.test(value) ? Number(value) : value;
+            const min = rule.min ?? 0;
+            const max = rule.max ?? Number.MAX_SAFE_INTEGER;
+            if (!Number.isSafeInteger(number) || number < min || number > max) {
+                return `must be an integer from ${min} to ${max}`;
+            }
+            return null;
+        }
+        case 'boolean':
+            if (fromQuery ? value !== 'true' && value !== 'false' : typeof value !== 'boolean') {
+                return 'must be true or false';
+            }
+            return null;
+        case 'object':
+            if (typeof value !== 'object' || Array.isArray(value)) {
+                return 'must be an object';
+            }
+            return null;
+        case 'array':
+            if (!Array.isArray(value)) {
+                return 'must be an array';
+            }
+            return null;
+        case 'enum':
+            if (!rule.values.includes(value)) {
+                return `must be one of: ${rule.values.join(', ')}`;
+            }
+            return null;
+        default:
+            throw new Error(`Unknown validation type: ${rule.type}`);
+    }
+}
+
+// Rule builders for route schemas
+const rules = {
+    // UUIDs and other opaque identifiers
+    id: { type: 'id' },
+    // Character IDs, character names and chat names, which double as file or folder names
+    name: { type: 'name' },
+    boolean: { type: 'boolean' },
+    object: { type: 'object' },
+    array: { type: 'array' },
+    // Milliseconds since the epoch
+    timestamp: { type: 'integer', min: 0 },
+    string: (maxLength = MAX_STRING_LENGTH) => ({ type: 'string', maxLength }),
+    integer: (min = 0, max = Number.MAX_SAFE_INTEGER) => ({ type: 'integer', min, max }),
+    oneOf: (...values) => ({ type: 'enum', values })
+};
+
+/**
+ * Mark a rule as required
+ * @param {Object} rule Field rule
+ * @returns {Object} Required rule
+ */
+function required(rule) {
+    return { ...rule, required: true };
+}
+
+/**
+ * Allow null for a rule
+ * @param {Object} rule Field rule
+ * @returns {Object} Nullable rule
+ */
+function nullable(rule) {
+    return { ...rule, nullable: true };
+}
+
+/**
+ * Validate the params, query and body of a request
+ * @param {import('express').Request} req Express request
+ * @param {{params?: Object, query?: Object, body?: Object}} schema Field rules per location
+ * @throws {ApiError} INVALID_FIELD for the first missing or invalid field
+ */
+function validateRequest(req, schema) {
+    for (const location of ['params', 'query', 'body']) {
+        const rules = schema[location];
+        if (!rules) continue;
+
+        const source = req[location] ?? {};
+        if (location === 'body' && (typeof source !== 'object' || Array.isArray(source))) {
+            throw new ApiError(400, 'INVALID_BODY', 'Request body must be a JSON object');
+        }
+
+        for (const [field, rule] of Object.entries(rules)) {
+            const value = source[field];
+            if (value === undefined || (location === 'query' && value === '')) {
+                if (rule.required) {
+                    throw invalidField(field, `Missing required field: ${field}`);
+                }
+                continue;
+            }
+
+            const problem = checkValue(value, rule, location === 'query');
+            if (problem) {
+                throw invalidField(field, `${field} ${problem}`);
+            }
+        }
+    }
+}
+
+/**
+ * Join path segments under a base directory, refusing any result outside it
+ * @param {string} baseDir Directory the result must stay in
+ * @param {...string} segments Path segments
+ * @returns {string} Resolved path
+ * @throws {ApiError} INVALID_PATH when the path escapes the base directory
+ */
+function resolveInside(baseDir, ...segments) {
+    const base = path.resolve(baseDir);
+    const resolved = path.resolve(base, ...segments.map(segment => String(segment ?? '')));
+    const relative = path.relative(base, resolved);
+
+    if (relative === '..' || relative.startsWith(`..${path.sep}`) || path.isAbsolute(relative) || segments.some(segment => String(segment ?? '').includes('\0'))) {
+        throw new ApiError(400, 'INVALID_PATH', 'Path points outside the chats directory');
+    }
+    return resolved;
+}
+
+module.exports = {
+    ApiError,
+    invalidField,
+    rules,
+    required,
+    nullable,
+    validateRequest,
+    resolveInside
+};